@@ -0,0 +1,148 @@
+/**
+ * sw.js — Service worker: offline app shell, alert sounds and logos
+ * Meeting data is NOT cached here — data.js keeps its own cache and reports `fromCache`.
+ * The build (vite.config.js) fills in BUILD_VERSION and the precache list.
+ */
+
+const BUILD_VERSION = 'dev';
+const PRECACHE_URLS = ['/', '/index.html'];
+
+const CACHE_PREFIX = 'aait-shell-';
+const SHELL_CACHE = `${CACHE_PREFIX}${BUILD_VERSION}`;
+const CDN_CACHE = 'aait-cdn';
+
+// Third-party files the page needs to render (icons, font)
+const CDN_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const CDN_PRECACHE_URLS = ['https://unpkg.com/lucide@latest'];
+
+// ========================================
+// 📦 Install / Activate
+// ========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(PRECACHE_URLS);
+
+        // Best effort: the CDN may be blocked, the app still works without icons
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.allSettled(CDN_PRECACHE_URLS.map(async (url) => {
+            const response = await fetch(url, { mode: 'no-cors' });
+            await cdn.put(url, response);
+        }));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+// ========================================
+// 🌐 Fetch Strategies
+// ========================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirstPage(request));
+        } else {
+            event.respondWith(cacheFirst(request));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (Google Sheets CSV, JSON/ICS sources) goes straight to the network
+});
+
+/**
+ * Pages: fresh when online (picks up new builds), cached shell when offline
+ */
+async function networkFirstPage(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put('/index.html', response.clone());
+        return response;
+    } catch {
+        return (await cache.match('/index.html')) || (await cache.match('/')) || Response.error();
+    }
+}
+
+/**
+ * Hashed assets, sounds and logos: cache first, network fills the cache
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+
+    if (cached) {
+        // <audio> asks for byte ranges; answer them from the cached file
+        const range = request.headers.get('range');
+        return range ? rangeResponse(cached, range) : cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) cache.put(request, response.clone());
+    return response;
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Build a 206 Partial Content response for "Range: bytes=start-end"
+ */
+async function rangeResponse(response, rangeHeader) {
+    const buffer = await response.arrayBuffer();
+    const match = rangeHeader.match(/bytes=(\d*)-(\d*)/);
+    const size = buffer.byteLength;
+
+    let start = match && match[1] ? parseInt(match[1], 10) : 0;
+    let end = match && match[2] ? parseInt(match[2], 10) : size - 1;
+    if (match && !match[1] && match[2]) {
+        // Suffix range: last N bytes
+        start = Math.max(0, size - parseInt(match[2], 10));
+        end = size - 1;
+    }
+    end = Math.min(end, size - 1);
+
+    if (start >= size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    return new Response(buffer.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}
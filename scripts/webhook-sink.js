@@ -0,0 +1,61 @@
+/**
+ * webhook-sink.js — Local stand-in for a chat webhook, for trying the dashboard's outgoing webhooks.
+ *
+ *   npm run webhook-sink                      → http://localhost:8787 prints every POST it receives
+ *   PORT=9000 npm run webhook-sink            → another port
+ *   WEBHOOK_SINK_FAIL=3 npm run webhook-sink  → the first 3 requests get HTTP 500 (exercises the outbox retries)
+ *
+ * Failures are only visible to "generic" webhooks — Slack-format requests are sent
+ * no-cors, so the dashboard cannot read their status.
+ */
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+let failuresLeft = Number(process.env.WEBHOOK_SINK_FAIL) || 0;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const at = new Date().toLocaleTimeString();
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`[${at}] ✗ ${req.url} → 500 (simulated failure, ${failuresLeft} left)`);
+            res.writeHead(500);
+            res.end('simulated failure');
+            return;
+        }
+
+        let printed = body;
+        try {
+            printed = JSON.stringify(JSON.parse(body), null, 2);
+        } catch {
+            // Not JSON — print as received
+        }
+        console.log(`[${at}] ✓ ${req.url}\n${printed}\n`);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook sink listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,193 @@
+/**
+ * alerts.js — Alert rules: when a meeting alert fires, how loud it is and who it applies to.
+ * Also keeps today's log of acknowledged / snoozed alerts per meeting.
+ */
+
+import { getSettings, updateSettings, formatTodayDate } from './data.js';
+import { findEngineer } from './engineers.js';
+import { getMeetingType, MEETING_TYPES } from './utils.js';
+
+// ========================================
+// ⏰ Default Rules
+// ========================================
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string}   id            — Stable key (part of the "already fired" key)
+ * @property {string}   label         — Name shown in settings
+ * @property {number}   leadMinutes   — Minutes before the start
+ * @property {string}   level         — Toast level: 'info' | 'warning' | 'critical'
+ * @property {boolean}  sound         — Play the engineer's recording
+ * @property {number}   soundClip     — Which recording (SOUND_CLIPS) — the files exist for 30 and 5 only
+ * @property {string}   [soundId]     — Library sound (sounds.js) played instead of the engineer's
+ * @property {boolean}  notify        — Send a system notification
+ * @property {boolean}  repeatUntilAck — Repeat the sound until acknowledged or the meeting starts
+ * @property {string[]} engineerIds   — Engineer registry ids (empty = everyone)
+ * @property {string[]} meetingTypes  — MEETING_TYPES values (empty = all types)
+ */
+
+// Recorded clips per engineer: /sounds/<prefix><clip>.mp3
+export const SOUND_CLIPS = [30, 5];
+
+export const ALERT_LEVELS = ['info', 'warning', 'critical'];
+
+export const DEFAULT_ALERT_RULES = [
+    {
+        id: 'lead-30',
+        label: 'قبل 30 دقيقة',
+        leadMinutes: 30,
+        level: 'info',
+        sound: true,
+        soundClip: 30,
+        notify: true,
+        repeatUntilAck: false,
+        engineerIds: [],
+        meetingTypes: []
+    },
+    {
+        id: 'lead-5',
+        label: 'قبل 5 دقائق',
+        leadMinutes: 5,
+        level: 'warning',
+        sound: true,
+        soundClip: 5,
+        notify: true,
+        repeatUntilAck: true,
+        engineerIds: [],
+        meetingTypes: []
+    },
+    {
+        id: 'external-60',
+        label: 'زيارة خارجية — قبل ساعة',
+        leadMinutes: 60,
+        level: 'info',
+        sound: true,
+        soundClip: 30,
+        notify: true,
+        repeatUntilAck: false,
+        engineerIds: [],
+        meetingTypes: [MEETING_TYPES.EXTERNAL]
+    }
+];
+
+/**
+ * Recording closest to a lead time (60 → the 30-minute clip)
+ */
+export function nearestSoundClip(leadMinutes) {
+    return SOUND_CLIPS.reduce((best, clip) =>
+        Math.abs(clip - leadMinutes) < Math.abs(best - leadMinutes) ? clip : best);
+}
+
+// ========================================
+// 🔎 Lookup
+// ========================================
+
+/**
+ * Current rules (settings override, falling back to the defaults)
+ * @returns {AlertRule[]}
+ */
+export function getAlertRules() {
+    const { alertRules } = getSettings();
+    return Array.isArray(alertRules) && alertRules.length ? alertRules : DEFAULT_ALERT_RULES;
+}
+
+/**
+ * Persist the rules. Rules without a positive lead time are dropped; an empty list restores the defaults.
+ * @param {AlertRule[]} rules
+ */
+export function saveAlertRules(rules) {
+    const cleaned = (rules || [])
+        .map((r, i) => {
+            const leadMinutes = parseInt(r.leadMinutes, 10);
+            return {
+                id: r.id || `rule-${i}`,
+                label: r.label || `قبل ${leadMinutes} دقيقة`,
+                leadMinutes,
+                level: ALERT_LEVELS.includes(r.level) ? r.level : 'info',
+                sound: r.sound !== false,
+                notify: r.notify !== false,
+                repeatUntilAck: !!r.repeatUntilAck,
+                soundClip: SOUND_CLIPS.includes(Number(r.soundClip)) ? Number(r.soundClip) : nearestSoundClip(leadMinutes),
+                soundId: r.soundId || '',
+                engineerIds: r.engineerIds || [],
+                meetingTypes: r.meetingTypes || []
+            };
+        })
+        .filter(r => r.leadMinutes > 0);
+
+    return updateSettings({ alertRules: cleaned.length ? cleaned : null }).alertRules;
+}
+
+/**
+ * Rules that apply to a meeting (engineer + meeting type filters)
+ * @param {Meeting} meeting
+ * @param {AlertRule[]} [rules]
+ * @returns {AlertRule[]}
+ */
+export function getRulesForMeeting(meeting, rules = getAlertRules()) {
+    const engineerId = findEngineer(meeting.team)?.id || '';
+    const type = getMeetingType(meeting.via);
+    return rules.filter(r =>
+        (!r.engineerIds?.length || r.engineerIds.includes(engineerId)) &&
+        (!r.meetingTypes?.length || r.meetingTypes.includes(type)));
+}
+
+/**
+ * Distinct alert lead times for a meeting, largest first (ICS reminders, poll scheduling)
+ * @returns {number[]}
+ */
+export function getAlertLeadMinutes(meeting, rules = getAlertRules()) {
+    const leads = getRulesForMeeting(meeting, rules).map(r => r.leadMinutes);
+    return [...new Set(leads)].sort((a, b) => b - a);
+}
+
+// ========================================
+// ✅ Acknowledgement Log (persisted per day)
+// ========================================
+
+const STORAGE_KEY_ALERT_ACTIONS = 'aait_alert_actions';
+
+export const ALERT_ACTIONS = {
+    ACK: 'ack',
+    SNOOZE: 'snooze'
+};
+
+// Snooze lengths offered on an alert, in minutes
+export const SNOOZE_MINUTES = [1, 5];
+
+/**
+ * @typedef {Object} AlertAction
+ * @property {string} action    — One of ALERT_ACTIONS
+ * @property {string} ruleId    — Rule whose alert was answered
+ * @property {number} at        — Timestamp (ms)
+ * @property {number} [minutes] — Snooze length
+ */
+
+/**
+ * Today's alert actions by meeting id, oldest first
+ * @returns {Object<string, AlertAction[]>}
+ */
+export function getTodayAlertActions() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_ALERT_ACTIONS) || 'null');
+        return stored && stored.date === formatTodayDate() ? stored.meetings : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Append an action to a meeting's log (starting a fresh log on a new day)
+ * @param {string} meetingId
+ * @param {AlertAction} entry
+ */
+export function recordAlertAction(meetingId, entry) {
+    const meetings = getTodayAlertActions();
+    meetings[meetingId] = [...(meetings[meetingId] || []), entry];
+    try {
+        localStorage.setItem(STORAGE_KEY_ALERT_ACTIONS, JSON.stringify({ date: formatTodayDate(), meetings }));
+    } catch (e) {
+        console.warn('Alert action log save failed:', e);
+    }
+    return meetings[meetingId];
+}
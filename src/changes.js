@@ -0,0 +1,111 @@
+/**
+ * changes.js — Change feed between syncs: diff engine + today's change log
+ */
+
+import { formatTodayDate } from './data.js';
+
+// ========================================
+// 🧮 Diff Engine
+// ========================================
+
+export const CHANGE_TYPES = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    TIME_CHANGED: 'time-changed',
+    ENGINEER_CHANGED: 'engineer-changed',
+    STATUS_CHANGED: 'status-changed'
+};
+
+/**
+ * @typedef {Object} ChangeEvent
+ * @property {string} type       — One of CHANGE_TYPES
+ * @property {string} meetingId
+ * @property {string} project
+ * @property {string} team
+ * @property {string} from       — Previous value ('' for added)
+ * @property {string} to         — New value ('' for removed)
+ * @property {string} at         — ISO timestamp of detection
+ */
+
+const clean = (v) => (v || '').trim();
+
+/**
+ * Compare two meeting lists (ids already reconciled) and emit typed change events.
+ * Only meetings dated today or later are considered — past days are history.
+ * @param {Meeting[]} previous
+ * @param {Meeting[]} next
+ * @returns {ChangeEvent[]}
+ */
+export function diffMeetings(previous, next) {
+    const today = formatTodayDate();
+    const relevant = (m) => (m.date || '') >= today;
+    const at = new Date().toISOString();
+
+    const oldById = new Map(previous.filter(relevant).map(m => [m.id, m]));
+    const newById = new Map(next.filter(relevant).map(m => [m.id, m]));
+    const events = [];
+
+    const event = (type, m, from = '', to = '') => events.push({
+        type, meetingId: m.id, project: m.project || '', team: m.team || '', from, to, at
+    });
+
+    for (const [id, m] of newById) {
+        const old = oldById.get(id);
+        if (!old) {
+            event(CHANGE_TYPES.ADDED, m, '', `${m.date} ${m.time}`);
+            continue;
+        }
+        if (old.date !== m.date || old.time !== m.time) {
+            event(CHANGE_TYPES.TIME_CHANGED, m, `${old.date} ${old.time}`, `${m.date} ${m.time}`);
+        }
+        if (clean(old.team) !== clean(m.team)) {
+            event(CHANGE_TYPES.ENGINEER_CHANGED, m, clean(old.team), clean(m.team));
+        }
+        if (clean(old.status) !== clean(m.status)) {
+            event(CHANGE_TYPES.STATUS_CHANGED, m, clean(old.status), clean(m.status));
+        }
+    }
+
+    for (const [id, old] of oldById) {
+        // A meeting that moved to a past date is "changed", not removed
+        if (!newById.has(id) && !next.some(m => m.id === id)) {
+            event(CHANGE_TYPES.REMOVED, old, `${old.date} ${old.time}`, '');
+        }
+    }
+
+    return events;
+}
+
+// ========================================
+// 📜 Today's Change Log (persisted per day)
+// ========================================
+
+const STORAGE_KEY_CHANGES = 'aait_change_log';
+const MAX_LOG_ENTRIES = 200;
+
+/**
+ * Today's change events, newest first
+ * @returns {ChangeEvent[]}
+ */
+export function getTodayChanges() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_CHANGES) || 'null');
+        return stored && stored.date === formatTodayDate() ? stored.entries : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Prepend events to today's log (starting a fresh log on a new day)
+ */
+export function recordChanges(events) {
+    if (!events.length) return getTodayChanges();
+    const entries = [...events, ...getTodayChanges()].slice(0, MAX_LOG_ENTRIES);
+    try {
+        localStorage.setItem(STORAGE_KEY_CHANGES, JSON.stringify({ date: formatTodayDate(), entries }));
+    } catch (e) {
+        console.warn('Change log save failed:', e);
+    }
+    return entries;
+}
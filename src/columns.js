@@ -0,0 +1,137 @@
+/**
+ * columns.js — Header-based column mapping for the meetings sheet
+ * Finds each Meeting field by its header name (Arabic/English synonyms) instead of a fixed position.
+ */
+
+// ========================================
+// 🏷️ Field Definitions
+// ========================================
+
+/**
+ * Meeting fields in matching priority order: more specific headers first,
+ * so "حالة العميل" is claimed by clientStatus before status sees it and
+ * "رابط الاجتماع" by meetUrl before project.
+ * exactOnly fields never take part in the "contains" pass (a short "id" would match too much).
+ */
+export const COLUMN_FIELDS = [
+    { key: 'id',           label: 'المعرّف',       required: false, exactOnly: true, synonyms: ['id', 'meeting id', 'uid', 'المعرف', 'معرف', 'معرف الاجتماع', 'رقم الاجتماع'] },
+    { key: 'date',         label: 'التاريخ',       required: true,  synonyms: ['التاريخ', 'تاريخ', 'اليوم', 'date', 'day'] },
+    { key: 'time',         label: 'الوقت',         required: true,  synonyms: ['الوقت', 'الساعة', 'وقت', 'ساعة', 'time', 'hour', 'start'] },
+    { key: 'clientStatus', label: 'حالة العميل',   required: false, synonyms: ['حالة العميل', 'وضع العميل', 'client status', 'client'] },
+    { key: 'status',       label: 'الحالة',        required: false, synonyms: ['الحالة', 'حالة الاجتماع', 'حالة', 'status', 'state'] },
+    { key: 'ticketUrl',    label: 'رابط التذكرة',  required: false, synonyms: ['رابط التذكرة', 'التذكرة', 'تذكرة', 'ticket', 'crm'] },
+    { key: 'meetUrl',      label: 'رابط الاجتماع', required: false, synonyms: ['رابط الاجتماع', 'رابط الميت', 'الرابط', 'رابط', 'meet', 'link', 'url'] },
+    { key: 'team',         label: 'الفريق / المهندس', required: true, synonyms: ['الفريق', 'المهندس', 'المسؤول', 'مهندس', 'فريق', 'team', 'engineer', 'owner', 'assignee'] },
+    { key: 'via',          label: 'عبر',           required: false, synonyms: ['عبر', 'طريقة الاجتماع', 'نوع الاجتماع', 'الطريقة', 'النوع', 'via', 'channel', 'type'] },
+    { key: 'project',      label: 'اسم المشروع',   required: true,  synonyms: ['اسم المشروع', 'المشروع', 'مشروع', 'الموضوع', 'الاجتماع', 'project', 'summary', 'subject', 'title'] }
+];
+
+const HEADER_SCAN_ROWS = 10;
+
+// ========================================
+// 🔤 Header Normalisation
+// ========================================
+
+/**
+ * Normalise a header cell for comparison: lowercase, unify Arabic letter forms,
+ * strip diacritics/tatweel and punctuation.
+ */
+export function normalizeHeader(str) {
+    return (str || '')
+        .toLowerCase()
+        .replace(/[ً-ْـ]/g, '') // Harakat + tatweel
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Column letter ("D", "AB") → zero-based index
+ */
+function letterToIndex(letters) {
+    return letters.toUpperCase().split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Resolve an override: column letter ("D"), 1-based number ("4") or a header name
+ */
+function resolveOverride(value, headers) {
+    const v = String(value || '').trim();
+    if (!v) return -1;
+    if (/^[A-Za-z]{1,2}$/.test(v)) return letterToIndex(v);
+    if (/^\d+$/.test(v)) return parseInt(v, 10) - 1;
+
+    const target = normalizeHeader(v);
+    return headers.findIndex(h => normalizeHeader(h) === target);
+}
+
+// ========================================
+// 🔎 Detection
+// ========================================
+
+/**
+ * Match a header row against the field synonyms.
+ * Exact matches are assigned first, then "contains" matches; each column is used once.
+ * @returns {Object<string, number>} field key → column index
+ */
+function matchHeaders(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const map = {};
+    const used = new Set();
+
+    const pass = (test, exact) => {
+        for (const field of COLUMN_FIELDS) {
+            if (field.key in map || (field.exactOnly && !exact)) continue;
+            const synonyms = field.synonyms.map(normalizeHeader);
+            const idx = normalized.findIndex((h, i) => h && !used.has(i) && synonyms.some(s => test(h, s)));
+            if (idx !== -1) {
+                map[field.key] = idx;
+                used.add(idx);
+            }
+        }
+    };
+
+    pass((h, s) => h === s, true);
+    pass((h, s) => h.includes(s), false);
+    return map;
+}
+
+/**
+ * Find the header row (within the first rows — a title row may precede it)
+ * and build the column map, applying settings overrides.
+ * Throws when a required column cannot be found.
+ *
+ * @param {string[][]} rows
+ * @param {Object<string, string>} [overrides] field key → header name / column letter / 1-based number
+ * @returns {{ headerIndex: number, columns: Object<string, number> }}
+ */
+export function detectColumns(rows, overrides = {}) {
+    let best = { headerIndex: -1, columns: {}, score: 0 };
+
+    const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+    for (let i = 0; i < limit; i++) {
+        const columns = matchHeaders(rows[i]);
+        const score = Object.keys(columns).length;
+        if (score > best.score) best = { headerIndex: i, columns, score };
+    }
+
+    const headers = best.headerIndex >= 0 ? rows[best.headerIndex] : [];
+    const columns = { ...best.columns };
+
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const idx = resolveOverride(value, headers);
+        if (idx >= 0) columns[key] = idx;
+    }
+
+    const missing = COLUMN_FIELDS.filter(f => f.required && !(f.key in columns));
+    if (missing.length > 0) {
+        const names = missing.map(f => f.label).join('، ');
+        const err = new Error(`تعذّر العثور على الأعمدة المطلوبة في الشيت: ${names} — راجع عناوين الأعمدة أو خريطة الأعمدة في الإعدادات`);
+        err.code = 'columns-missing';
+        throw err;
+    }
+
+    return { headerIndex: best.headerIndex, columns };
+}
@@ -2,6 +2,14 @@
  * data.js — Data layer: Settings management, CSV fetch, robust parsing, local cache
  */
 
+import { COLUMN_FIELDS, detectColumns } from './columns.js';
+import { DATE_FORMATS, parseDateCell, detectDateOrder, normalizeDateCell } from './dates.js';
+import { reconcileMeetings } from './identity.js';
+import { getActiveSource } from './sources.js';
+import { recordSync } from './history.js';
+import { recordSyncAttempt } from './health.js';
+import { getAlertRules, getAlertLeadMinutes } from './alerts.js';
+
 // ========================================
 // 🔧 SETTINGS & CONFIG
 // ========================================
@@ -10,10 +18,46 @@ const STORAGE_KEY_SETTINGS = 'aait_settings';
 const STORAGE_KEY_DATA = 'aait_meetings_data';
 const STORAGE_KEY_LAST_SYNC = 'aait_last_sync';
 
+/**
+ * 🗓️ خريطة التبويبات الشهرية الافتراضية — DEFAULT MONTHLY TAB MAP
+ * تُعدَّل الخريطة الفعلية من نافذة الإعدادات أو تُستورد من تبويب الإعداد (configGid).
+ * 'YYYY-MM': 'GID'
+ *
+ * كيف تجد رقم GID؟
+ * 1. افتح Google Sheets
+ * 2. انتقل للتبويب الذي تريده
+ * 3. انظر للرابط في المتصفح: ?gid=XXXXXXXX
+ * 4. الرقم بعد gid= هو ما تحتاجه
+ */
+const DEFAULT_TAB_GIDS = {
+    '2026-02': '951085024',    // فبراير 2026
+    '2026-03': '1826079126',   // مارس 2026 ✅
+    '2026-04': '507439430',    // أبريل 2026 
+    '2026-05': '1614080437',   // مايو 2026 🆕
+};
+
 const DEFAULT_SETTINGS = {
+    dataSource: 'google-sheet', // Active adapter (SOURCE_TYPES in sources.js)
     sheetId: '', // User must provide this
     refreshInterval: 1, // 1 minute (prevents 400 rate limiting)
-    soundEnabled: true
+    soundEnabled: true,
+    speechVoice: '', // Spoken-alert voice (voiceURI; '' = first Arabic voice)
+    speechRate: 1, // Spoken-alert speed (0.5 – 2)
+    speechVolume: 1, // Spoken-alert volume (0 – 1)
+    tabGids: DEFAULT_TAB_GIDS, // 'YYYY-MM' -> GID
+    configGid: '', // Optional config tab (month,gid rows or JSON) in the same published sheet
+    sheetLabel: '', // Name of the main sheet on cards / filters when several sheets are merged
+    extraSheets: [], // More published sheets merged in: [{ id, label, sheetId, tabGids, configGid }]
+    webhooks: [], // Outgoing chat webhooks (see webhooks.js): [{ id, label, url, format, events, templates, enabled }]
+    adjacentMonths: 1, // Neighbouring month tabs fetched on each side of the current one
+    adjacentWindowDays: 3, // Only fetch neighbours this close to a month boundary (31 = always)
+    columnMap: {}, // Field -> header name / column letter overrides (blank = auto-detect)
+    workingHoursStart: '08:00', // Business-hours window used to resolve times without ص/م
+    workingHoursEnd: '22:00',
+    dateFormat: DATE_FORMATS.AUTO, // 'auto' detects D/M vs M/D per tab; 'DMY' / 'MDY' force it
+    jsonUrl: '', // JSON adapter: URL returning an array of meetings
+    icsUrl: '', // ICS adapter: calendar feed URL
+    alertRules: null // Alert rules (null = DEFAULT_ALERT_RULES in alerts.js)
 };
 
 /**
@@ -44,9 +88,12 @@ export function updateSettings(newSettings) {
 
 /**
  * @typedef {Object} Meeting
- * @property {string} id          — Unique identifier
+ * @property {string} id          — Unique identifier (carried across reschedules, see identity.js)
+ * @property {string} rawId       — Content hash of this row (date-time-project) or the sheet ID
+ * @property {string} idSource    — 'sheet' (dedicated ID column) or 'hash'
  * @property {string} date        — Normalised Date YYYY/MM/DD
  * @property {string} time        — Normalised Time HH:MM (24h)
+ * @property {string} timeSource  — 'explicit' (ص/م or 24h), 'inferred' (working hours) or 'ambiguous'
  * @property {string} project     — Project summary/name
  * @property {string} team        — Responsible team/person
  * @property {string} via         — Meeting channel
@@ -54,67 +101,336 @@ export function updateSettings(newSettings) {
  * @property {string} ticketUrl   — CRM ticket URL
  * @property {string} meetUrl     — Google Meet URL
  * @property {string} clientStatus— Client status
+ * @property {string} [sourceId]  — Sheet the row came from (getSheets() id, Google Sheets source only)
+ * @property {string} [sourceTab] — Month tab the row came from (YYYY-MM, Google Sheets source only)
  */
 
 // ========================================
-// 📥 CSV Fetch & Parse
+// 📥 CSV Fetch & Parse (Google Sheets source — other adapters live in sources.js)
 // ========================================
 
 // Default Publish Key (for /d/e/ format — only this works publicly)
 const DEFAULT_PUBLISH_KEY = '2PACX-1vRMptn5kgbKPmukUxf-9os30G_B3HpvenSged4a5D3GcIS8UgAu9inlHRwe2gq28A';
 
+// ========================================
+// 📚 Published Sheets (main + other teams)
+// ========================================
+
+export const MAIN_SHEET_ID = 'main'; // The sheet configured by the legacy single-sheet settings
+
 /**
- * 🗓️ خريطة التبويبات الشهرية — MONTHLY TAB MAP
- * أضف GID كل شهر جديد هنا بسطر واحد فقط:
- * 'YYYY-MM': 'GID'
- *
- * كيف تجد رقم GID؟
- * 1. افتح Google Sheets
- * 2. انتقل للتبويب الذي تريده
- * 3. انظر للرابط في المتصفح: ?gid=XXXXXXXX
- * 4. الرقم بعد gid= هو ما تحتاجه
+ * @typedef {Object} SheetSource
+ * @property {string} id        — MAIN_SHEET_ID or a generated id for extra sheets
+ * @property {string} label     — Name shown on cards and in the source filter
+ * @property {string} sheetId   — Publish key (2PACX-...)
+ * @property {Object<string, string>} tabGids — 'YYYY-MM' -> GID
+ * @property {string} configGid — Optional config tab (month,gid) in this sheet
  */
-const SHEET_TAB_GIDS = {
-    '2026-02': '951085024',    // فبراير 2026
-    '2026-03': '1826079126',   // مارس 2026 ✅
-    '2026-04': '507439430',    // أبريل 2026 
-    '2026-05': '1614080437',   // مايو 2026 🆕
-};
 
 /**
- * اختر GID بناءً على الشهر الحالي تلقائياً.
- * إذا لم يوجد GID للشهر الحالي، يرجع لآخر شهر مُعرَّف.
+ * All configured sheets: the main one first, then settings.extraSheets
+ * @returns {SheetSource[]}
  */
-function getCurrentMonthGID() {
-    const now = new Date();
-    const key = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+export function getSheets() {
+    const settings = getSettings();
+    const main = {
+        id: MAIN_SHEET_ID,
+        label: settings.sheetLabel || 'الشيت الرئيسي',
+        sheetId: settings.sheetId,
+        tabGids: { ...(settings.tabGids || DEFAULT_TAB_GIDS) },
+        configGid: settings.configGid || ''
+    };
+    const extras = (settings.extraSheets || [])
+        .filter(s => s && s.id)
+        .map((s, i) => ({
+            id: s.id,
+            label: s.label || `شيت ${i + 2}`,
+            sheetId: s.sheetId || '',
+            tabGids: { ...(s.tabGids || {}) },
+            configGid: s.configGid || ''
+        }));
+    return [main, ...extras];
+}
+
+function findSheet(sheetId) {
+    const sheet = getSheets().find(s => s.id === sheetId);
+    if (!sheet) throw new Error(`الشيت غير موجود في الإعدادات (${sheetId})`);
+    return sheet;
+}
+
+function saveSheetTabGids(sheetId, tabGids) {
+    if (sheetId === MAIN_SHEET_ID) {
+        updateSettings({ tabGids });
+        return;
+    }
+    const { extraSheets } = getSettings();
+    updateSettings({ extraSheets: (extraSheets || []).map(s => s.id === sheetId ? { ...s, tabGids } : s) });
+}
+
+// ========================================
+// 🗓️ Monthly Tab Map
+// ========================================
+
+/**
+ * 'YYYY-MM' key for a date (defaults to now)
+ */
+export function getMonthKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Month → GID map of a sheet (the main sheet falls back to the defaults)
+ */
+export function getTabGids(sheetId = MAIN_SHEET_ID) {
+    return findSheet(sheetId).tabGids;
+}
+
+/**
+ * Accepts 'YYYY-MM', 'YYYY/MM', 'MM/YYYY' or 'M-YYYY' and returns 'YYYY-MM' (or null)
+ */
+export function normalizeMonthKey(str) {
+    const s = (str || '').trim();
+    let m = s.match(/^(\d{4})[-/.](\d{1,2})$/);
+    if (m) return `${m[1]}-${m[2].padStart(2, '0')}`;
+    m = s.match(/^(\d{1,2})[-/.](\d{4})$/);
+    if (m) return `${m[2]}-${m[1].padStart(2, '0')}`;
+    return null;
+}
+
+/**
+ * اختر GID لشهر معيّن في شيت معيّن.
+ * إذا لم يوجد GID للشهر، يرجع لآخر شهر مُعرَّف مع تحذير (mapped: false) بدلاً من الصمت.
+ * @returns {{ monthKey: string, gid: string|null, mapped: boolean, fallbackKey: string|null }}
+ */
+function resolveMonthGID(sheet, monthKey = getMonthKey()) {
+    const gids = sheet.tabGids;
 
-    // بحث مباشر عن الشهر الحالي
-    if (SHEET_TAB_GIDS[key]) {
-        console.log(`[Sheets] ✅ تبويب الشهر الحالي: ${key} → GID: ${SHEET_TAB_GIDS[key]}`);
-        return SHEET_TAB_GIDS[key];
+    // بحث مباشر عن الشهر المطلوب
+    if (gids[monthKey]) {
+        return { monthKey, gid: gids[monthKey], mapped: true, fallbackKey: null };
     }
 
     // Fallback: آخر شهر مُعرَّف في الخريطة
-    const keys = Object.keys(SHEET_TAB_GIDS).sort();
-    const lastKey = keys[keys.length - 1];
-    console.warn(`[Sheets] ⚠️ لا يوجد GID للشهر ${key}، جاري استخدام آخر تبويب: ${lastKey}`);
-    return SHEET_TAB_GIDS[lastKey] || null;
+    const keys = Object.keys(gids).filter(k => gids[k]).sort();
+    const lastKey = keys[keys.length - 1] || null;
+    console.warn(`[Sheets] ⚠️ ${sheet.label}: لا يوجد GID للشهر ${monthKey}، جاري استخدام آخر تبويب: ${lastKey}`);
+    return { monthKey, gid: lastKey ? gids[lastKey] : null, mapped: false, fallbackKey: lastKey };
+}
+
+/**
+ * Publish key of a sheet (only 2PACX- keys work publicly).
+ * The main sheet falls back to the default key; extra sheets must have their own.
+ */
+function getPublishKey(sheet) {
+    const key = (sheet.sheetId || '').trim();
+    if (key.startsWith('2PACX-')) return key;
+    if (sheet.id === MAIN_SHEET_ID) return DEFAULT_PUBLISH_KEY;
+    throw new Error(`معرّف النشر للشيت «${sheet.label}» غير صالح (يجب أن يبدأ بـ 2PACX-)`);
+}
+
+/**
+ * Parse a config tab into a month → GID map.
+ * Accepts JSON ({"2026-06": "123"} or [{month, gid}]) or CSV rows "month,gid".
+ */
+function parseTabMapConfig(text) {
+    const map = {};
+    const add = (month, gid) => {
+        const key = normalizeMonthKey(String(month || ''));
+        const g = String(gid || '').trim();
+        if (key && /^\d+$/.test(g)) map[key] = g;
+    };
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const json = JSON.parse(trimmed);
+        if (Array.isArray(json)) json.forEach(e => add(e.month, e.gid));
+        else Object.entries(json).forEach(([month, gid]) => add(month, gid));
+        return map;
+    }
+
+    for (const row of parseCSV(text)) {
+        // A JSON blob pasted into a single cell also works
+        if (row.length === 1 && /^[{[]/.test(row[0])) return parseTabMapConfig(row[0]);
+        add(row[0], row[1]);
+    }
+    return map;
+}
+
+/**
+ * Read a sheet's month → GID map from its config tab without saving it
+ * (the settings editor fills its rows and leaves saving to "حفظ").
+ * @param {{ id: string, label: string, sheetId: string, configGid: string }} sheet
+ * @returns {Promise<Object>} the imported entries
+ */
+export async function fetchTabMapFromConfig(sheet) {
+    if (!sheet.configGid) throw new Error('لم يتم تحديد تبويب الإعداد (Config GID)');
+
+    const text = await fetchCSV(sheet, sheet.configGid);
+    const imported = parseTabMapConfig(text);
+    if (Object.keys(imported).length === 0) {
+        throw new Error('تبويب الإعداد لا يحتوي على أي شهر صالح (month,gid)');
+    }
+    return imported;
+}
+
+/**
+ * Import a sheet's month → GID map from its config tab and merge it into settings.
+ * @param {string} [sheetId] — Sheet to import for (defaults to the main sheet)
+ * @returns {Promise<Object>} the imported entries
+ */
+export async function importTabMapFromConfig(sheetId = MAIN_SHEET_ID) {
+    const sheet = findSheet(sheetId);
+    const imported = await fetchTabMapFromConfig(sheet);
+
+    saveSheetTabGids(sheet.id, { ...sheet.tabGids, ...imported });
+    console.log(`[Sheets] 📥 ${sheet.label}: تم استيراد ${Object.keys(imported).length} تبويب من الإعداد`);
+    return imported;
+}
+
+const lastConfigImportAttempts = new Map(); // sheet id -> timestamp
+const CONFIG_IMPORT_THROTTLE_MS = 10 * 60 * 1000;
+
+/**
+ * When the current month is unmapped, try the sheet's config tab (at most every 10 minutes).
+ * @returns {Promise<{ sheet: SheetSource, resolved: Object }>} the sheet with its (possibly updated) tab map
+ */
+async function ensureCurrentMonthMapped(sheet) {
+    const resolved = resolveMonthGID(sheet);
+    if (resolved.mapped || !sheet.configGid) return { sheet, resolved };
+    if (Date.now() - (lastConfigImportAttempts.get(sheet.id) || 0) < CONFIG_IMPORT_THROTTLE_MS) {
+        return { sheet, resolved };
+    }
+
+    lastConfigImportAttempts.set(sheet.id, Date.now());
+    try {
+        await importTabMapFromConfig(sheet.id);
+    } catch (e) {
+        console.warn(`[Sheets] ${sheet.label}: Config tab import failed:`, e.message);
+        return { sheet, resolved };
+    }
+    const updated = findSheet(sheet.id);
+    return { sheet: updated, resolved: resolveMonthGID(updated) };
+}
+
+/**
+ * Check that a fetched tab really holds the expected month.
+ * Returns false only when there are dated meetings and none of them fall in monthKey.
+ */
+function tabMatchesMonth(meetings, monthKey) {
+    const prefix = monthKey.replace('-', '/');
+    const dated = meetings.filter(m => /^\d{4}\/\d{2}/.test(m.date || ''));
+    if (dated.length === 0) return true;
+    return dated.some(m => m.date.startsWith(prefix));
+}
+
+/**
+ * Build warnings for the tab that was fetched
+ */
+function getTabWarnings(resolved, meetings) {
+    const warnings = [];
+    if (!resolved.gid) {
+        warnings.push({ code: 'tab-unmapped', message: `لا يوجد تبويب مُعرَّف للشهر ${resolved.monthKey} — أضفه من الإعدادات` });
+    } else if (!resolved.mapped) {
+        warnings.push({
+            code: 'tab-unmapped',
+            message: `لا يوجد تبويب للشهر ${resolved.monthKey} — يتم عرض بيانات ${resolved.fallbackKey} وقد تكون قديمة. أضف GID الشهر من الإعدادات`
+        });
+    } else if (meetings && !tabMatchesMonth(meetings, resolved.monthKey)) {
+        warnings.push({
+            code: 'tab-month-mismatch',
+            message: `التبويب المرتبط بالشهر ${resolved.monthKey} (GID: ${resolved.gid}) لا يحتوي على تواريخ من هذا الشهر — تحقق من الـ GID`
+        });
+    }
+    return warnings;
+}
+
+/**
+ * Month keys of the neighbouring tabs worth fetching right now.
+ * Previous months near the start of the month, next months near the end.
+ */
+function getAdjacentMonthKeys(now = new Date()) {
+    const { adjacentMonths, adjacentWindowDays } = getSettings();
+    const count = Math.max(0, parseInt(adjacentMonths, 10) || 0);
+    const windowDays = Math.max(0, parseInt(adjacentWindowDays, 10) || 0);
+    if (count === 0) return [];
+
+    const day = now.getDate();
+    const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const nearStart = day <= windowDays;
+    const nearEnd = day > daysInMonth - windowDays;
+
+    const keys = [];
+    for (let i = 1; i <= count; i++) {
+        if (nearStart) keys.push(getMonthKey(new Date(now.getFullYear(), now.getMonth() - i, 1)));
+        if (nearEnd) keys.push(getMonthKey(new Date(now.getFullYear(), now.getMonth() + i, 1)));
+    }
+    return keys;
+}
+
+/**
+ * Fetch and parse one month tab, tagging every meeting with its sheet and tab.
+ * Ids of extra sheets are prefixed so identical rows in two sheets stay distinct.
+ */
+async function fetchTabMeetings(sheet, monthKey, gid) {
+    const csvText = await fetchCSV(sheet, gid);
+    const { meetings, diagnostics } = mapRowsToMeetings(parseCSV(csvText));
+    const scopeId = (id) => sheet.id === MAIN_SHEET_ID ? id : `${sheet.id}:${id}`;
+    return {
+        meetings: meetings.map(m => ({
+            ...m,
+            id: scopeId(m.id),
+            rawId: scopeId(m.rawId),
+            sourceId: sheet.id,
+            sourceTab: monthKey
+        })),
+        diagnostics: diagnostics.map(d => ({ ...d, tab: monthKey }))
+    };
+}
+
+/**
+ * Fetch neighbouring month tabs. Unmapped months are skipped and failures
+ * are tolerated — the current month is what matters.
+ */
+async function fetchAdjacentTabs(sheet, excludeGid) {
+    const gids = sheet.tabGids;
+    const targets = getAdjacentMonthKeys().filter(k => gids[k] && gids[k] !== excludeGid);
+
+    const results = await Promise.allSettled(targets.map(k => fetchTabMeetings(sheet, k, gids[k])));
+    const meetings = [];
+    const diagnostics = [];
+    results.forEach((r, i) => {
+        if (r.status === 'fulfilled') {
+            meetings.push(...r.value.meetings);
+            diagnostics.push(...r.value.diagnostics);
+        } else {
+            console.warn(`[Sheets] ⚠️ ${sheet.label}: تعذّر جلب تبويب ${targets[i]}:`, r.reason?.message);
+        }
+    });
+    return { meetings, diagnostics };
+}
+
+/**
+ * Merge meeting lists, de-duplicating by id (earlier lists win)
+ */
+function mergeMeetings(...lists) {
+    const seen = new Map();
+    for (const list of lists) {
+        for (const m of list) {
+            if (!seen.has(m.id)) seen.set(m.id, m);
+        }
+    }
+    return [...seen.values()];
 }
 
 /**
  * Fetch CSV from Google Sheets (publish key format only)
  * Regular sheet IDs require auth and cause CORS errors, so only 2PACX- keys are accepted.
  */
-async function fetchCSV() {
-    const { sheetId } = getSettings();
+async function fetchCSV(sheet, gid) {
+    const activeKey = getPublishKey(sheet);
+    if (!gid) throw new Error('لا يوجد تبويب (GID) مُعرَّف');
 
-    // Only use user ID if it's a valid publish key (starts with 2PACX-)
-    const activeKey = (sheetId && sheetId.startsWith('2PACX-')) ? sheetId : DEFAULT_PUBLISH_KEY;
-
-    // 🗓️ اختيار GID تلقائياً بناءً على الشهر الحالي
-    const activeGID = getCurrentMonthGID();
-    const url = `https://docs.google.com/spreadsheets/d/e/${activeKey}/pub?gid=${activeGID}&single=true&output=csv`;
+    const url = `https://docs.google.com/spreadsheets/d/e/${activeKey}/pub?gid=${gid}&single=true&output=csv`;
 
     const response = await fetch(`${url}&_t=${Date.now()}`, { cache: "no-store" });
 
@@ -135,7 +451,7 @@ async function fetchCSV() {
 /**
  * Robust CSV parser using state machine to handle quoted fields and multiline values.
  */
-function parseCSV(csvText) {
+export function parseCSV(csvText) {
     const records = [];
     let fields = [];
     let current = '';
@@ -192,39 +508,115 @@ function parseCSV(csvText) {
     return records;
 }
 
+/**
+ * Pick the mapped fields out of a raw CSV row
+ * @param {number} rowNumber — 1-based row number in the sheet (for diagnostics)
+ */
+function rowToRecord(row, columns, rowNumber) {
+    const record = { rowNumber, rawDate: '' };
+    for (const { key } of COLUMN_FIELDS) {
+        record[key] = key in columns ? (row[columns[key]] || '').trim() : '';
+    }
+    record.rawDate = record.date;
+    return record;
+}
+
+/**
+ * Does a date cell look like a date (numeric, ISO, Arabic-Indic digits or month name)?
+ */
+function looksLikeDate(dateField) {
+    return !!dateField && parseDateCell(dateField) !== null;
+}
+
 /**
  * 🔑 Forward Fill Algorithm
  */
-function forwardFillDates(rows) {
+function forwardFillDates(records) {
     let currentDate = '';
 
-    return rows.map(row => {
-        const dateField = (row[0] || '').trim();
-        // Check if this looks like a date (contains / or - and digits)
-        if (dateField && /\d/.test(dateField) && (/\//.test(dateField) || /-/.test(dateField))) {
+    return records.map(record => {
+        const dateField = record.date;
+        if (looksLikeDate(dateField)) {
             currentDate = dateField;
         }
-        // Return row with filled date
-        return [currentDate, ...row.slice(1)];
+        // Return record with filled date
+        return { ...record, date: currentDate };
     });
 }
 
 /**
  * Detect if a row is a date header row (only date, rest empty)
  */
-function isDateHeaderRow(row) {
-    const project = (row[1] || '').trim();
-    const time    = (row[3] || '').trim();  // D column (الوقت)
-
+function isDateHeaderRow(record) {
     // If no project AND no time, it's a structural/header row
-    return !project && !time;
+    return !record.project && !record.time;
 }
 
 /**
- * Parse time string to 24h format with AM/PM support
+ * 'HH:MM' → minutes since midnight (NaN if malformed)
  */
-function parseTimeStr(timeStr) {
-    if (!timeStr) return '';
+function toMinutes(hhmm) {
+    const [h, m] = String(hhmm || '').split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Working hours in minutes since midnight (defaults when the settings are invalid)
+ */
+function getWorkingWindow() {
+    const { workingHoursStart, workingHoursEnd } = getSettings();
+    const start = toMinutes(workingHoursStart);
+    const end = toMinutes(workingHoursEnd);
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        return {
+            start: toMinutes(DEFAULT_SETTINGS.workingHoursStart),
+            end: toMinutes(DEFAULT_SETTINGS.workingHoursEnd)
+        };
+    }
+    return { start, end };
+}
+
+/**
+ * Resolve an hour written without ص/م (1–12) using the working-hours window.
+ * Both the AM and PM readings are tried; the one inside the window wins.
+ * If both fit, the earlier reading is used and the time is flagged ambiguous;
+ * if neither fits, the reading closest to the window is used (also ambiguous).
+ * @returns {{ hour: number, source: 'inferred'|'ambiguous' }}
+ */
+function resolveAmbiguousHour(h, minutes) {
+    const { start, end } = getWorkingWindow();
+
+    const amHour = h % 12;      // 12 → 0 (midnight)
+    const pmHour = amHour + 12; // 12 → 12 (noon)
+    const inWindow = (hour) => {
+        const t = hour * 60 + minutes;
+        return t >= start && t < end;
+    };
+
+    const amFits = inWindow(amHour);
+    const pmFits = inWindow(pmHour);
+    if (amFits && !pmFits) return { hour: amHour, source: 'inferred' };
+    if (pmFits && !amFits) return { hour: pmHour, source: 'inferred' };
+    if (amFits && pmFits) return { hour: amHour, source: 'ambiguous' };
+
+    const distance = (hour) => {
+        const t = hour * 60 + minutes;
+        return t < start ? start - t : t - end;
+    };
+    return { hour: distance(amHour) <= distance(pmHour) ? amHour : pmHour, source: 'ambiguous' };
+}
+
+/**
+ * Parse time string to 24h format with AM/PM support.
+ * Times without ص/م are resolved against the working-hours window, unless the
+ * source is known to write 24h times (clock24: ICS / JSON feeds).
+ * @param {string} timeStr
+ * @param {{ clock24?: boolean }} [options]
+ * @returns {{ time: string, source: 'explicit'|'inferred'|'ambiguous'|'' }}
+ *          (time is the raw string and source '' when it cannot be parsed)
+ */
+function parseTimeStr(timeStr, { clock24 = false } = {}) {
+    if (!timeStr) return { time: '', source: '' };
 
     let cleaned = timeStr.trim();
 
@@ -240,21 +632,14 @@ function parseTimeStr(timeStr) {
     if (match) {
         let h = parseInt(match[1], 10);
         const m = match[2];
+        let source = 'explicit';
 
-        // Smarter Heuristic (The 10 AM Rule)
         if (!isPM && !isAM) {
-            // If hour < 10, treat as PM (e.g. 8:00 -> 20:00)
-            // If hour >= 10, treat as AM (e.g. 10:00 -> 10:00, 11:00 -> 11:00)
-            // Note: 12:00 remains 12:00 (Noon)
-            // ⚠️ HEURISTIC: Hours below 10 are assumed PM (e.g. 8:00 → 20:00).
-        // This works because all current meetings are in the afternoon.
-        // If a morning meeting (before 10 AM) is ever added to the sheet,
-        // it MUST include an explicit AM/ص indicator, otherwise it will be 
-        // incorrectly converted to PM.
-        if (h < 10) {
-                h += 12;
-            } else if (h === 12) {
-                h = 12; // 12 PM (Noon) explicitly
+            // 0 and 13–23 are already 24h; 1–12 need the working-hours window
+            if (!clock24 && h >= 1 && h <= 12) {
+                const resolved = resolveAmbiguousHour(h, parseInt(m, 10));
+                h = resolved.hour;
+                source = resolved.source;
             }
         } else {
             // 12-hour to 24-hour conversion if indicator IS present
@@ -262,88 +647,183 @@ function parseTimeStr(timeStr) {
             if (isAM && h === 12) h = 0;
         }
 
-        return `${String(h).padStart(2, '0')}:${m}`;
+        if (h > 23 || parseInt(m, 10) > 59) return { time: timeStr.trim(), source: '' };
+        return { time: `${String(h).padStart(2, '0')}:${m}`, source };
     }
 
-    return timeStr.trim();
+    return { time: timeStr.trim(), source: '' };
 }
 
 /**
- * Normalize date to YYYY/MM/DD to ensure correct sorting
+ * Normalize date to YYYY/MM/DD to ensure correct sorting.
+ * D/M vs M/D comes from the sheet-wide detection (see dates.js);
+ * unresolvable cells are returned as-is and reported by the caller.
  */
-function normalizeDate(dateStr) {
+function normalizeDate(dateStr, order) {
     if (!dateStr) return '';
-    const parts = dateStr.trim().split(/[/\-]/);
-
-    if (parts.length === 3) {
-        const p0 = parts[0].trim();
-        const p1 = parts[1].trim();
-        const p2 = parts[2].trim();
+    return normalizeDateCell(dateStr, order) || dateStr.trim();
+}
 
-        // Check if year is first (YYYY/MM/DD)
-        if (p0.length === 4) {
-            return `${p0}/${p1.padStart(2, '0')}/${p2.padStart(2, '0')}`;
-        }
-        // Check if year is last (D/M/YYYY or M/D/YYYY)
-        // Defaulting to D/M/YYYY as it's common in the region
-        else if (p2.length === 4) {
-            return `${p2}/${p1.padStart(2, '0')}/${p0.padStart(2, '0')}`;
-        }
+/**
+ * Short deterministic hash (cyrb53) of a string, base36-encoded
+ */
+function hashKey(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
     }
-    return dateStr.trim();
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
 }
 
+// ========================================
+// 🩺 Parse Diagnostics
+// ========================================
+
 /**
- * Map parsed CSV rows to Meeting objects
+ * @typedef {Object} ParseDiagnostic
+ * @property {number} row       — 1-based row number in the sheet
+ * @property {string} tab       — Month tab (YYYY-MM), filled in by the caller
+ * @property {Object} values    — Raw cell values of the row (by field)
+ * @property {string} rule      — Which rule fired (e.g. 'time-unparsed')
+ * @property {'error'|'warning'|'info'} severity
+ * @property {string} message   — Arabic explanation for the coordinator
  */
-function mapRowsToMeetings(rows) {
-    // Skip header row usually, but sometimes Google Sheets CSV includes title first.
-    // We'll rely on smart filtering below.
 
-    const dataRows = rows.slice(1); // Assume row 1 is headers
+export const DIAGNOSTIC_SEVERITY = {
+    ERROR: 'error',     // Meeting is wrong or missing — alerts may not fire
+    WARNING: 'warning', // Row was skipped or partially used
+    INFO: 'info'
+};
+
+const DIAGNOSTIC_RULES = {
+    'row-skipped':       { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'صف يحتوي بيانات بدون اسم مشروع أو وقت — تم تجاهله' },
+    'project-missing':   { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'يوجد وقت بدون اسم مشروع' },
+    'time-missing':      { severity: DIAGNOSTIC_SEVERITY.ERROR,   message: 'اجتماع بدون وقت — لن تعمل التنبيهات' },
+    'time-unparsed':     { severity: DIAGNOSTIC_SEVERITY.ERROR,   message: 'تعذّر فهم الوقت — لن تعمل التنبيهات' },
+    'time-ambiguous':    { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'الوقت بدون ص/م ولا تكفي ساعات العمل لتحديد الصباح أو المساء — أضف ص أو م' },
+    'date-missing':      { severity: DIAGNOSTIC_SEVERITY.ERROR,   message: 'لا يوجد تاريخ لهذا الصف ولا تاريخ سابق يُعبّأ منه' },
+    'date-unparsed':     { severity: DIAGNOSTIC_SEVERITY.ERROR,   message: 'تعذّر فهم التاريخ — لن يظهر الاجتماع في يومه' },
+    'date-cell-ignored': { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'خانة التاريخ لا تحتوي تاريخاً — تم استخدام التاريخ السابق' },
+    'id-duplicate':      { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'المعرّف مكرر في أكثر من صف — سيُعامل كاجتماع واحد' },
+    'date-order-ambiguous': { severity: DIAGNOSTIC_SEVERITY.WARNING, message: 'تعذّر تحديد صيغة التاريخ (يوم/شهر أو شهر/يوم) من التبويب — حدّدها من الإعدادات' }
+};
+
+function createDiagnostic(record, rule) {
+    const { rowNumber, rawDate, date, ...values } = record;
+    return {
+        row: rowNumber,
+        tab: '',
+        values: { ...values, date: rawDate },
+        rule,
+        ...DIAGNOSTIC_RULES[rule]
+    };
+}
+
+const TIME_RE = /^\d{2}:\d{2}$/;
+const DATE_RE = /^\d{4}\/\d{2}\/\d{2}$/;
+
+/**
+ * Map parsed rows (from any data source) to Meeting objects, collecting diagnostics
+ * for rows that were skipped or could not be normalised.
+ * @param {string[][]} rows
+ * @param {Object<string, string>} [columnMap] — Column overrides (defaults to settings)
+ * @param {{ clock24?: boolean }} [options] — clock24: times without ص/م are already 24h
+ * @returns {{ meetings: Meeting[], diagnostics: ParseDiagnostic[] }}
+ */
+export function mapRowsToMeetings(rows, columnMap = getSettings().columnMap, { clock24 = false } = {}) {
+    // Columns are found by header name; the header row may follow a title row.
+    // Throws (code: 'columns-missing') when a required column is absent.
+    const { headerIndex, columns } = detectColumns(rows, columnMap);
+
+    const dataRows = rows
+        .slice(headerIndex + 1)
+        .map((row, i) => rowToRecord(row, columns, headerIndex + i + 2));
     const filledRows = forwardFillDates(dataRows);
 
     const meetings = [];
+    const diagnostics = [];
+    const seenSheetIds = new Set();
+    const report = (record, rule) => diagnostics.push(createDiagnostic(record, rule));
+
+    // 📅 D/M vs M/D is decided once for the whole tab
+    const dateCells = dataRows.map(r => r.rawDate).filter(Boolean);
+    const dateOrder = detectDateOrder(dateCells, getSettings().dateFormat);
+    if (!dateOrder.confident && dateOrder.ambiguousCount > 0) {
+        const first = dataRows.find(r => r.rawDate && parseDateCell(r.rawDate)?.kind === 'numeric');
+        if (first) report(first, 'date-order-ambiguous');
+    }
 
+    for (const record of filledRows) {
+        if (isDateHeaderRow(record)) {
+            // Pure date/blank rows are structure; anything else is lost data
+            const hasContent = ['team', 'via', 'status', 'ticketUrl', 'meetUrl', 'clientStatus'].some(k => record[k]);
+            if (hasContent) report(record, 'row-skipped');
+            continue;
+        }
 
-    for (const row of filledRows) {
-        if (isDateHeaderRow(row)) continue;
-
-        // Check minimum columns existence
-        const project = (row[1] || '').trim();  // B column: اسم المشروع
-        const team    = (row[2] || '').trim();  // C column: الفريق / المهندس
-        const time    = (row[3] || '').trim();  // D column: الساعة (الوقت)
+        const { project, time } = record;
 
-        if (!project && !time) continue;
+        if (!project) report(record, 'project-missing');
+        if (record.rawDate && !looksLikeDate(record.rawDate)) report(record, 'date-cell-ignored');
 
         // BUG-02: Stable ID Generation
-        const stableId = btoa(unescape(encodeURIComponent(`${row[0]}-${time}-${project}`))).substring(0, 12).replace(/\//g, '_');
+        // A dedicated ID column wins; otherwise hash the whole key (a truncated base64
+        // only covered the date). Reschedules are reconciled later in identity.js.
+        const idSource = record.id ? 'sheet' : 'hash';
+        const stableId = record.id ? `sid-${record.id}` : hashKey(`${record.date}-${time}-${project}`);
+        if (record.id) {
+            if (seenSheetIds.has(record.id)) report(record, 'id-duplicate');
+            seenSheetIds.add(record.id);
+        }
 
-        meetings.push({
+        const parsedTime = parseTimeStr(time, { clock24 });
+        const meeting = {
             id: stableId,
-            date: normalizeDate((row[0] || '').trim()),
+            rawId: stableId,
+            idSource,
+            date: normalizeDate(record.date, dateOrder.order),
             project: project,
-            team: team,
-            time: parseTimeStr(time),
-            via: (row[4] || '').trim(),
-            status: (row[5] || '').trim(),
-            ticketUrl: (row[6] || '').trim(),
-            meetUrl: (row[7] || '').trim(),
-            clientStatus: (row[8] || '').trim()
-        });
+            team: record.team,
+            time: parsedTime.time,
+            timeSource: parsedTime.source,
+            via: record.via,
+            status: record.status,
+            ticketUrl: record.ticketUrl,
+            meetUrl: record.meetUrl,
+            clientStatus: record.clientStatus
+        };
+
+        if (!time) report(record, 'time-missing');
+        else if (!TIME_RE.test(meeting.time)) report(record, 'time-unparsed');
+        else if (parsedTime.source === 'ambiguous') report(record, 'time-ambiguous');
+
+        if (!record.date) report(record, 'date-missing');
+        else if (!DATE_RE.test(meeting.date)) report(record, 'date-unparsed');
+
+        meetings.push(meeting);
     }
 
-    return meetings;
+    return { meetings, diagnostics };
 }
 
 // ========================================
-// 💾 Local Storage Cache
+// 💾 Local Storage Cache (current list; full history lives in history.js)
 // ========================================
 
 function saveMeetings(meetings) {
+    const syncedAt = new Date().toISOString();
+
+    // 🗄️ Long-term history (IndexedDB) — never blocks the sync.
+    // Called first: on the very first run it migrates the snapshot below before it is replaced.
+    recordSync(meetings, syncedAt).catch(e => console.warn('[History] Save failed:', e.message));
+
     try {
         localStorage.setItem(STORAGE_KEY_DATA, JSON.stringify(meetings));
-        localStorage.setItem(STORAGE_KEY_LAST_SYNC, new Date().toISOString());
+        localStorage.setItem(STORAGE_KEY_LAST_SYNC, syncedAt);
     } catch (e) {
         console.warn('LocalStorage save failed:', e);
     }
@@ -367,27 +847,191 @@ function getLastSyncTime() {
 // ========================================
 
 /**
- * Fetch and parse meetings
+ * One sheet: current month tab (+ neighbours near a month boundary).
+ * Errors carry the tab warnings so they still show next to the cached data.
+ */
+async function fetchSheet(sheet) {
+    // 🗓️ اختيار GID تلقائياً بناءً على الشهر الحالي
+    const { sheet: mapped, resolved } = await ensureCurrentMonthMapped(sheet);
+
+    try {
+        const current = await fetchTabMeetings(mapped, resolved.fallbackKey || resolved.monthKey, resolved.gid);
+        const adjacent = await fetchAdjacentTabs(mapped, resolved.gid);
+        return {
+            meetings: mergeMeetings(current.meetings, adjacent.meetings),
+            diagnostics: [...current.diagnostics, ...adjacent.diagnostics],
+            warnings: getTabWarnings(resolved, current.meetings)
+        };
+    } catch (error) {
+        error.warnings = getTabWarnings(resolved, null);
+        throw error;
+    }
+}
+
+/**
+ * Google Sheets adapter: every configured sheet in parallel, merged into one list.
+ * A failing sheet keeps its last cached meetings (so the outage doesn't read as
+ * removals) and adds a 'source-failed' warning; only when all sheets fail does this throw.
+ * @returns {Promise<SourceResult>}
+ */
+export async function fetchSheetMeetings() {
+    const sheets = getSheets();
+    const multiSheet = sheets.length > 1;
+    const results = await Promise.allSettled(sheets.map(fetchSheet));
+
+    // With several sheets, say which one a warning / diagnostic belongs to
+    const labelWarnings = (sheet, warnings) => multiSheet
+        ? warnings.map(w => ({ ...w, message: `«${sheet.label}» — ${w.message}` }))
+        : warnings;
+
+    const cached = loadCachedMeetings() || [];
+    const lists = [];
+    const diagnostics = [];
+    const warnings = [];
+    const failures = [];
+
+    results.forEach((r, i) => {
+        const sheet = sheets[i];
+        if (r.status === 'fulfilled') {
+            lists.push(r.value.meetings);
+            diagnostics.push(...r.value.diagnostics.map(d => multiSheet ? { ...d, tab: `${sheet.label} · ${d.tab}` } : d));
+            warnings.push(...labelWarnings(sheet, r.value.warnings));
+            return;
+        }
+
+        failures.push(r.reason);
+        warnings.push(...labelWarnings(sheet, r.reason.warnings || []));
+        if (multiSheet) {
+            const kept = cached.filter(m => m.sourceId === sheet.id);
+            lists.push(kept);
+            console.warn(`[Sheets] ⚠️ تعذّر جلب ${sheet.label}:`, r.reason.message);
+            warnings.push({
+                code: 'source-failed',
+                message: `تعذّر جلب «${sheet.label}»: ${r.reason.message} — يتم عرض آخر بيانات محفوظة له (${kept.length})`
+            });
+        }
+    });
+
+    if (failures.length === sheets.length) {
+        const error = multiSheet
+            ? new Error(`تعذّر جلب كل الشيتات (${sheets.length}): ${failures[0].message}`)
+            : failures[0];
+        error.warnings = warnings;
+        throw error;
+    }
+
+    return { meetings: mergeMeetings(...lists), diagnostics, warnings };
+}
+
+/**
+ * Fetch and parse meetings from the active data source
  */
 export async function fetchMeetings() {
+    const source = getActiveSource();
+    const startedAt = Date.now();
+
     try {
-        const csvText = await fetchCSV();
-        const rows = parseCSV(csvText);
-        const meetings = mapRowsToMeetings(rows);
+        const result = await source.fetch();
+        // 🔗 Carry ids across reschedules / title edits since the last sync
+        const meetings = reconcileMeetings(loadCachedMeetings() || [], result.meetings);
 
         saveMeetings(meetings);
-        return { meetings, fromCache: false, error: null };
+        return {
+            meetings,
+            contentHash: hashKey(JSON.stringify(meetings)),
+            fromCache: false,
+            error: null,
+            warnings: result.warnings,
+            diagnostics: result.diagnostics,
+            source: source.id,
+            durationMs: Date.now() - startedAt
+        };
     } catch (error) {
-        console.error('Fetch error:', error);
-        const cached = loadCachedMeetings();
+        console.error(`Fetch error (${source.id}):`, error);
+        const meetings = loadCachedMeetings() || getDemoMeetings();
+        const warnings = error.warnings || [];
         return {
-            meetings: cached || getDemoMeetings(),
+            meetings,
+            contentHash: hashKey(JSON.stringify(meetings)),
             fromCache: true,
-            error: error.message
+            error: error.message,
+            warnings: error.code === 'columns-missing'
+                ? [{ code: error.code, message: error.message }, ...warnings]
+                : warnings,
+            diagnostics: null, // Unknown — keep showing the last parse
+            source: source.id,
+            durationMs: Date.now() - startedAt
         };
     }
 }
 
+// ========================================
+// ⏱️ Adaptive Poll Schedule
+// ========================================
+
+const FAST_POLL_MS = 20 * 1000;              // Around a meeting start, so status changes land quickly
+const FAST_WINDOW_MINUTES = 5;               // Either side of the start
+const OFF_HOURS_POLL_MS = 15 * 60 * 1000;    // Outside working hours
+const ALERT_WAKE_MARGIN_MS = 2 * 60 * 1000;  // A hidden tab wakes this long before an alert
+
+export const POLL_REASONS = {
+    NORMAL: 'normal',             // settings.refreshInterval
+    MEETING_SOON: 'meeting-soon', // Within FAST_WINDOW_MINUTES of a meeting start
+    OFF_HOURS: 'off-hours',
+    HIDDEN: 'hidden',             // Tab hidden — sleeping until shortly before the next alert
+    PAUSED: 'paused',             // Tab hidden and no alert due — waits for wakeAutoSync()
+    BACKOFF: 'backoff'            // Rate limited (400)
+};
+
+/**
+ * When to poll next, from today's meetings and the time of day.
+ * Never sleeps past the start of the next fast window.
+ * @param {Meeting[]} meetings
+ * @param {{ baseMs: number, hidden?: boolean, now?: Date }} options
+ * @returns {{ delay: number|null, reason: string }} delay null = paused
+ */
+export function getPollSchedule(meetings, { baseMs, hidden = false, now = new Date() }) {
+    const today = formatTodayDate();
+    const nowMs = now.getTime();
+    const upcoming = meetings
+        .filter(m => m.date === today && !isCancelled(m) && TIME_RE.test(m.time || ''))
+        .map(m => {
+            const [h, mi] = m.time.split(':').map(Number);
+            return { meeting: m, start: new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, mi).getTime() };
+        });
+    const starts = upcoming.map(u => u.start);
+
+    if (hidden) {
+        const rules = getAlertRules();
+        const alerts = upcoming
+            .flatMap(({ meeting, start }) => getAlertLeadMinutes(meeting, rules).map(lead => start - lead * 60000))
+            .filter(t => t > nowMs);
+        if (alerts.length === 0) return { delay: null, reason: POLL_REASONS.PAUSED };
+
+        const wakeIn = Math.min(...alerts) - ALERT_WAKE_MARGIN_MS - nowMs;
+        if (wakeIn > baseMs) return { delay: wakeIn, reason: POLL_REASONS.HIDDEN };
+        // An alert is close — poll as if visible so it fires from fresh data
+    }
+
+    const windowMs = FAST_WINDOW_MINUTES * 60000;
+    if (starts.some(t => Math.abs(t - nowMs) <= windowMs)) {
+        return { delay: Math.min(FAST_POLL_MS, baseMs), reason: POLL_REASONS.MEETING_SOON };
+    }
+
+    const { start, end } = getWorkingWindow();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const offHours = minutes < start || minutes >= end;
+    let delay = offHours ? Math.max(baseMs, OFF_HOURS_POLL_MS) : baseMs;
+
+    const nextWindow = starts.map(t => t - windowMs).filter(t => t > nowMs);
+    if (nextWindow.length) delay = Math.min(delay, Math.min(...nextWindow) - nowMs);
+
+    return {
+        delay: Math.max(1000, delay),
+        reason: offHours ? POLL_REASONS.OFF_HOURS : POLL_REASONS.NORMAL
+    };
+}
+
 /**
  * 🛰️ SYNC ENGINE & STABILITY CONTROL
  * 
@@ -402,6 +1046,7 @@ export async function fetchMeetings() {
  */
 
 let syncTimeoutId = null;
+let wakeSync = null;
 let consecutive400Errors = 0;
 const reversionTracker = new Map(); // meetingId -> [timestamps]
 
@@ -425,9 +1070,22 @@ export function stopAutoSync() {
         clearTimeout(syncTimeoutId);
         syncTimeoutId = null;
     }
+    wakeSync = null;
+}
+
+/**
+ * The dashboard became visible: poll now (or shortly, if the last poll is recent), ending any pause
+ */
+export function wakeAutoSync() {
+    if (wakeSync) wakeSync();
 }
 
-export function startAutoSync(callback) {
+/**
+ * Poll the active source on an adaptive schedule (see getPollSchedule)
+ * @param {(result: Object) => void} callback
+ * @param {{ isHidden?: () => boolean }} [options] — isHidden: nobody is looking at the dashboard
+ */
+export function startAutoSync(callback, { isHidden = () => false } = {}) {
     stopAutoSync();
 
     const { refreshInterval } = getSettings();
@@ -437,6 +1095,43 @@ export function startAutoSync(callback) {
     let lastKnownMeetings = loadCachedMeetings() || [];
     let isPolling = false;
 
+    /**
+     * 🪜 BACKOFF STRATEGY for 400 Errors (Rate Limiting).
+     * fetchMeetings never throws, so the status comes from result.error.
+     * Without rate limiting the adaptive schedule decides.
+     */
+    const nextDelayFor = (errorMessage) => {
+        if (!errorMessage || !errorMessage.includes('400')) {
+            consecutive400Errors = 0;
+            return getPollSchedule(lastKnownMeetings, { baseMs: defaultIntervalMs, hidden: isHidden() });
+        }
+
+        consecutive400Errors++;
+        let backoffDelay = defaultIntervalMs;
+        if (consecutive400Errors === 1) backoffDelay = 60000;        // 1 minute
+        else if (consecutive400Errors === 2) backoffDelay = 120000;  // 2 minutes
+        else if (consecutive400Errors >= 3) backoffDelay = 300000;   // 5 minutes (Max)
+
+        console.warn(`[Sync] Rate limited (400). Backing off for ${backoffDelay / 1000}s...`);
+        return { delay: backoffDelay, reason: POLL_REASONS.BACKOFF };
+    };
+
+    /**
+     * Log the poll to the health panel and schedule the next one
+     */
+    const finishPoll = (result, reversions = null) => {
+        const next = nextDelayFor(result.fromCache ? result.error : null);
+        recordSyncAttempt(result, {
+            trigger: 'auto',
+            backoffMs: consecutive400Errors > 0 ? next.delay : 0,
+            nextPollMs: next.delay,
+            pollReason: next.reason,
+            reversions
+        });
+        isPolling = false;
+        scheduleNext(next.delay);
+    };
+
     const poll = async () => {
         if (isPolling) return;
         isPolling = true;
@@ -448,9 +1143,6 @@ export function startAutoSync(callback) {
 
         try {
             const result = await fetchMeetings();
-            
-            // On Success: Reset backoff
-            consecutive400Errors = 0;
 
             if (thisRequestTime !== latestRequestTime) {
                 isPolling = false;
@@ -489,12 +1181,13 @@ export function startAutoSync(callback) {
                         }
                     }
 
+                    const reversions = { verified: 0, suppressed: 0, flapLimited: shouldSkipIds.size };
+
                     // إذا لا يوجد شيء يحتاج تحقق، أكمل بشكل طبيعي
                     if (shouldVerifyIds.size === 0) {
                         lastKnownMeetings = result.meetings;
                         callback(result);
-                        isPolling = false;
-                        scheduleNext(defaultIntervalMs);
+                        finishPoll(result, reversions);
                         return;
                     }
 
@@ -514,49 +1207,48 @@ export function startAutoSync(callback) {
 
                     if (isStillReverting) {
                         console.log('[Sync] Reversion verified. Updates confirmed.');
+                        reversions.verified = shouldVerifyIds.size;
                         lastKnownMeetings = verifyResult.meetings;
                         callback(verifyResult);
+                        finishPoll(verifyResult, reversions);
                     } else {
                         console.warn('[Sync] CDN glitch. Keeping Done state.');
+                        reversions.suppressed = shouldVerifyIds.size;
+                        finishPoll(result, reversions);
                     }
-
-                    isPolling = false;
-                    scheduleNext(defaultIntervalMs);
                     return;
                 }
             }
 
             lastKnownMeetings = result.meetings;
             callback(result);
-            isPolling = false;
-            scheduleNext(defaultIntervalMs);
+            finishPoll(result);
 
         } catch (err) {
+            // Only unexpected errors land here (e.g. in the callback)
             console.error('[Sync] Poll error:', err);
             isPolling = false;
-
-            // 🪜 BACKOFF STRATEGY for 400 Errors (Rate Limiting)
-            if (err.message.includes('400')) {
-                consecutive400Errors++;
-                let backoffDelay = defaultIntervalMs;
-                
-                if (consecutive400Errors === 1) backoffDelay = 60000;        // 1 minute
-                else if (consecutive400Errors === 2) backoffDelay = 120000;  // 2 minutes
-                else if (consecutive400Errors >= 3) backoffDelay = 300000;   // 5 minutes (Max)
-
-                console.warn(`[Sync] Rate limited (400). Backing off for ${backoffDelay / 1000}s...`);
-                scheduleNext(backoffDelay);
-            } else {
-                scheduleNext(defaultIntervalMs);
-            }
+            scheduleNext(nextDelayFor(err.message).delay);
         }
     };
 
+    // delay null = paused until wakeAutoSync()
     function scheduleNext(delay) {
         if (syncTimeoutId) clearTimeout(syncTimeoutId);
-        syncTimeoutId = setTimeout(poll, delay);
+        syncTimeoutId = delay === null ? null : setTimeout(poll, delay);
     }
 
+    wakeSync = () => {
+        if (isPolling) return;
+        const sinceLast = Date.now() - latestRequestTime;
+        if (sinceLast >= FAST_POLL_MS) {
+            if (syncTimeoutId) clearTimeout(syncTimeoutId);
+            poll();
+        } else {
+            scheduleNext(FAST_POLL_MS - sinceLast);
+        }
+    };
+
     poll();
     return stopAutoSync;
 }
@@ -659,7 +1351,7 @@ export function getStatusIcon(via, status, hasMeetUrl = false) {
     return 'calendar'; // Generic calendar default
 }
 
-export { getLastSyncTime };
+export { getLastSyncTime, loadCachedMeetings };
 
 // ========================================
 // 🎯 Demo Data
@@ -681,6 +1373,7 @@ function getDemoMeetings() {
             project: 'تجربة النظام (Demo)',
             team: 'فريق المبيعات',
             time: makeFutureTime(10), // 10 mins from now
+            timeSource: 'explicit',
             via: 'عن بعد',
             status: 'خارجي',
             ticketUrl: '#',
@@ -693,6 +1386,7 @@ function getDemoMeetings() {
             project: 'اجتماع المراجعة الأسبوعي',
             team: 'الإدارة',
             time: makeFutureTime(45),
+            timeSource: 'explicit',
             via: 'حضوري',
             status: 'حضوري',
             ticketUrl: '#',
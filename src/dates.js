@@ -0,0 +1,179 @@
+/**
+ * dates.js — Date cell parsing: sheet-wide D/M vs M/D detection, Arabic-Indic digits,
+ * month names and ISO timestamps
+ */
+
+// ========================================
+// 🔤 Normalisation
+// ========================================
+
+export const DATE_FORMATS = {
+    AUTO: 'auto',
+    DMY: 'DMY', // 19/10/2026 (default for the region)
+    MDY: 'MDY'  // 10/19/2026 (US-locale exports)
+};
+
+/**
+ * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to ASCII
+ */
+export function toLatinDigits(str) {
+    return String(str || '')
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0));
+}
+
+function normalizeLetters(str) {
+    return str
+        .toLowerCase()
+        .replace(/[أإآ]/g, 'ا')
+        .replace(/ـ/g, '');
+}
+
+// Month names (already letter-normalised). Longer names first so
+// "كانون الثاني" is not mistaken for anything shorter.
+const MONTH_NAMES = [
+    ['يناير', 'كانون الثاني', 'january', 'jan'],
+    ['فبراير', 'شباط', 'february', 'feb'],
+    ['مارس', 'اذار', 'march', 'mar'],
+    ['ابريل', 'نيسان', 'april', 'apr'],
+    ['مايو', 'ايار', 'may'],
+    ['يونيو', 'يونيه', 'حزيران', 'june', 'jun'],
+    ['يوليو', 'يوليه', 'تموز', 'july', 'jul'],
+    ['اغسطس', 'اب', 'august', 'aug'],
+    ['سبتمبر', 'ايلول', 'september', 'sept', 'sep'],
+    ['اكتوبر', 'تشرين الاول', 'october', 'oct'],
+    ['نوفمبر', 'تشرين الثاني', 'november', 'nov'],
+    ['ديسمبر', 'كانون الاول', 'december', 'dec']
+];
+
+const MONTH_PATTERNS = MONTH_NAMES
+    .flatMap((names, i) => names.map(name => ({ name, month: i + 1 })))
+    .sort((a, b) => b.name.length - a.name.length)
+    .map(({ name, month }) => ({ month, re: new RegExp(`(?<!\\p{L})${name}(?!\\p{L})`, 'u') }));
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+function isValidDate(y, m, d) {
+    if (m < 1 || m > 12 || d < 1) return false;
+    return d <= new Date(y, m, 0).getDate();
+}
+
+// ========================================
+// 🔎 Cell Parsing
+// ========================================
+
+/**
+ * @typedef {Object} DateCell
+ * @property {'resolved'|'numeric'} kind — 'numeric' means x/y/YYYY whose order depends on the sheet
+ * @property {number} year
+ * @property {number} [month]   — when resolved
+ * @property {number} [day]     — when resolved
+ * @property {number} [first]   — when numeric: first number
+ * @property {number} [second]  — when numeric: second number
+ */
+
+/**
+ * Recognise the shape of a date cell without deciding D/M vs M/D.
+ * @returns {DateCell|null} null when the cell does not look like a date
+ */
+export function parseDateCell(str) {
+    const s = normalizeLetters(toLatinDigits(str).trim());
+    if (!s) return null;
+
+    // ISO timestamp with zone (2026-10-18T21:00:00.000Z) → local calendar date
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+        const d = new Date(s.toUpperCase());
+        if (!isNaN(d)) return { kind: 'resolved', year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate() };
+    }
+
+    // Year first: YYYY/MM/DD, YYYY-MM-DD (optionally followed by a time)
+    let m = s.match(/(?<!\d)(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2})(?!\d)/);
+    if (m) {
+        const [year, month, day] = [m[1], m[2], m[3]].map(Number);
+        return isValidDate(year, month, day) ? { kind: 'resolved', year, month, day } : null;
+    }
+
+    // Year last: x/y/YYYY or x/y/YY — order decided sheet-wide
+    m = s.match(/(?<!\d)(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4}|\d{2})(?!\d)/);
+    if (m) {
+        const [first, second] = [Number(m[1]), Number(m[2])];
+        return { kind: 'numeric', year: fullYear(Number(m[3])), first, second };
+    }
+
+    // Month names: "19 أكتوبر 2026", "October 19, 2026", "19-Oct-26"
+    const named = MONTH_PATTERNS.find(p => p.re.test(s));
+    if (named) {
+        const rest = s.replace(named.re, ' ');
+        const nums = (rest.match(/\d+/g) || []).map(Number);
+        const yearNum = nums.find(n => n >= 1000);
+        const dayNum = nums.find(n => n >= 1 && n <= 31);
+        if (dayNum === undefined) return null;
+        const year = yearNum !== undefined ? yearNum : new Date().getFullYear();
+        return isValidDate(year, named.month, dayNum)
+            ? { kind: 'resolved', year, month: named.month, day: dayNum }
+            : null;
+    }
+
+    return null;
+}
+
+// ========================================
+// 🧮 Sheet-wide Order Detection
+// ========================================
+
+/**
+ * Decide D/M/YYYY vs M/D/YYYY from all numeric date cells of a tab.
+ *  1. A part above 12 settles it for that cell (13/04 must be D/M).
+ *  2. A monthly tab should span few months: the reading with fewer distinct months wins.
+ * Falls back to D/M (regional default) when nothing distinguishes them.
+ *
+ * @param {string[]} cells — raw date cells
+ * @param {string} [override] — DATE_FORMATS value from settings
+ * @returns {{ order: 'DMY'|'MDY', confident: boolean, ambiguousCount: number }}
+ */
+export function detectDateOrder(cells, override = DATE_FORMATS.AUTO) {
+    const numeric = cells.map(parseDateCell).filter(c => c && c.kind === 'numeric');
+    const ambiguousCount = numeric.filter(c => c.first <= 12 && c.second <= 12 && c.first !== c.second).length;
+
+    if (override === DATE_FORMATS.DMY || override === DATE_FORMATS.MDY) {
+        return { order: override, confident: true, ambiguousCount };
+    }
+    if (numeric.length === 0) return { order: DATE_FORMATS.DMY, confident: true, ambiguousCount: 0 };
+
+    const dmyOnly = numeric.filter(c => c.first > 12 && c.second <= 12).length;
+    const mdyOnly = numeric.filter(c => c.second > 12 && c.first <= 12).length;
+    if (dmyOnly > 0 && mdyOnly === 0) return { order: DATE_FORMATS.DMY, confident: true, ambiguousCount };
+    if (mdyOnly > 0 && dmyOnly === 0) return { order: DATE_FORMATS.MDY, confident: true, ambiguousCount };
+
+    const monthsIfDMY = new Set(numeric.map(c => `${c.year}-${c.second}`)).size;
+    const monthsIfMDY = new Set(numeric.map(c => `${c.year}-${c.first}`)).size;
+    if (dmyOnly === 0 && mdyOnly === 0 && monthsIfDMY !== monthsIfMDY) {
+        // Needs at least two cells to mean anything
+        const confident = numeric.length > 1;
+        return { order: monthsIfDMY < monthsIfMDY ? DATE_FORMATS.DMY : DATE_FORMATS.MDY, confident, ambiguousCount };
+    }
+
+    // Conflicting or no evidence
+    const order = mdyOnly > dmyOnly ? DATE_FORMATS.MDY : DATE_FORMATS.DMY;
+    return { order, confident: ambiguousCount === 0 && (dmyOnly === 0 || mdyOnly === 0), ambiguousCount };
+}
+
+/**
+ * Normalize a date cell to YYYY/MM/DD using the detected order.
+ * @returns {string|null} null when the cell cannot be resolved
+ */
+export function normalizeDateCell(str, order = DATE_FORMATS.DMY) {
+    const cell = parseDateCell(str);
+    if (!cell) return null;
+
+    let { year, month, day } = cell;
+    if (cell.kind === 'numeric') {
+        [day, month] = order === DATE_FORMATS.MDY ? [cell.second, cell.first] : [cell.first, cell.second];
+        // A cell that contradicts the sheet order (13 in the month slot) is read the other way
+        if (month > 12 && day <= 12) [day, month] = [month, day];
+    }
+
+    if (!isValidDate(year, month, day)) return null;
+    return `${year}/${pad2(month)}/${pad2(day)}`;
+}
@@ -0,0 +1,103 @@
+/**
+ * engineers.js — Engineer registry: name aliases, labels, colours, card themes, sound prefixes
+ */
+
+import { getSettings, updateSettings } from './data.js';
+
+// ========================================
+// 👷 Default Registry
+// ========================================
+
+/**
+ * @typedef {Object} Engineer
+ * @property {string}   id          — Stable key (also used for per-engineer settings)
+ * @property {string[]} aliases     — Arabic & Latin name fragments matched against the team column
+ * @property {string}   shortName   — Card label (e.g. م.مجاهد)
+ * @property {string}   color       — Solid colour (aurora glow)
+ * @property {string}   gradient    — Card background gradient
+ * @property {string}   theme       — Card theme CSS class (may be empty)
+ * @property {string}   soundPrefix — Audio file prefix under /sounds (may be empty)
+ * @property {string}   [mention]   — Chat mention used in webhook messages (e.g. <@U012AB3CD> or @mojahed)
+ * @property {Object<string, string>} [soundIds] — Library sounds (sounds.js) by clip ('30' / '5'), replacing the files
+ */
+
+export const DEFAULT_ENGINEERS = [
+    {
+        id: 'mojahed',
+        aliases: ['مجاهد', 'mojahed'],
+        shortName: 'م.مجاهد',
+        color: '#2962FF',
+        gradient: 'linear-gradient(135deg, #2962FF, #00B0FF)',
+        theme: 'theme-mojahed',
+        soundPrefix: 'm'
+    },
+    {
+        id: 'ashraf',
+        aliases: ['أشرف', 'اشرف', 'ashraf'],
+        shortName: 'م.أشرف',
+        color: '#00C853',
+        gradient: 'linear-gradient(135deg, #00C853, #1de9b6)',
+        theme: 'theme-ashraf',
+        soundPrefix: 'a'
+    },
+    {
+        id: 'shady',
+        aliases: ['شادي', 'shady'],
+        shortName: 'م.شادي',
+        color: '#C6242C',
+        gradient: 'linear-gradient(135deg, #C6242C, #9B1B22)',
+        theme: 'theme-shady',
+        soundPrefix: 's'
+    },
+    {
+        id: 'hossam',
+        aliases: ['حسام', 'hossam'],
+        shortName: 'م.حسام',
+        color: '#FF6D00',
+        gradient: 'linear-gradient(135deg, #FF6D00, #FFAB00)',
+        theme: 'theme-hossam',
+        soundPrefix: 'a' // Shares Ashraf's recordings
+    }
+];
+
+export const DEFAULT_ENGINEER_GRADIENT = 'linear-gradient(135deg, #334155, #1e293b)';
+export const DEFAULT_ENGINEER_COLOR = '#2962FF';
+
+// ========================================
+// 🔎 Lookup
+// ========================================
+
+/**
+ * Current registry (settings override, falling back to the defaults)
+ * @returns {Engineer[]}
+ */
+export function getEngineers() {
+    const { engineers } = getSettings();
+    return Array.isArray(engineers) && engineers.length ? engineers : DEFAULT_ENGINEERS;
+}
+
+/**
+ * Persist the registry. Blank aliases are dropped; an empty list restores the defaults.
+ * @param {Engineer[]} engineers
+ */
+export function saveEngineers(engineers) {
+    const cleaned = (engineers || [])
+        .map(e => ({
+            ...e,
+            aliases: (e.aliases || []).map(a => a.trim()).filter(Boolean)
+        }))
+        .filter(e => e.aliases.length > 0);
+
+    return updateSettings({ engineers: cleaned.length ? cleaned : null }).engineers;
+}
+
+/**
+ * Find the engineer whose alias appears in a team/person string.
+ * @param {string} team
+ * @returns {Engineer|null}
+ */
+export function findEngineer(team) {
+    if (!team) return null;
+    const t = team.toLowerCase();
+    return getEngineers().find(e => (e.aliases || []).some(a => a && t.includes(a.toLowerCase()))) || null;
+}
@@ -0,0 +1,124 @@
+/**
+ * health.js — Sync health log: one entry per poll (duration, rows, error, backoff, reversions)
+ * Lets the office tell "no meetings today" apart from "the sheet is broken".
+ */
+
+// ========================================
+// 📋 Sync Log
+// ========================================
+
+const STORAGE_KEY_SYNC_LOG = 'aait_sync_log';
+const MAX_LOG_ENTRIES = 50;
+
+export const SYNC_LEVELS = {
+    OK: 'ok',           // Live data
+    WARNING: 'warning', // Live data with problems (errors in rows, tab warnings, suppressed reversions, no meetings)
+    ERROR: 'error'      // Fetch failed — showing cached/demo data
+};
+
+/**
+ * @typedef {Object} SyncLogEntry
+ * @property {string}  at            — ISO time the poll finished
+ * @property {string}  trigger       — 'auto' | 'manual'
+ * @property {string}  source        — Data-source adapter id
+ * @property {number}  durationMs
+ * @property {string}  level         — One of SYNC_LEVELS
+ * @property {boolean} fromCache
+ * @property {number}  meetingCount  — Meetings parsed (0 when the fetch failed)
+ * @property {number}  rowErrors     — Diagnostics with severity 'error'
+ * @property {string[]} warnings     — Tab / column warning messages
+ * @property {string|null} error
+ * @property {number}  backoffMs     — Extra delay applied after this poll (0 = normal interval)
+ * @property {number|null} nextPollMs — Delay until the next automatic poll (null = manual or paused)
+ * @property {string|null} pollReason — Why that delay (POLL_REASONS in data.js)
+ * @property {{ verified: number, suppressed: number, flapLimited: number }|null} reversions
+ */
+
+let listener = null;
+
+/**
+ * Subscribe to new log entries (one listener, like setAudioStateListener)
+ */
+export function setSyncHealthListener(callback) {
+    listener = callback;
+}
+
+/**
+ * Poll history, newest first
+ * @returns {SyncLogEntry[]}
+ */
+export function getSyncLog() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_SYNC_LOG) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+function levelFor(result, reversions) {
+    if (result.fromCache) return SYNC_LEVELS.ERROR;
+
+    const rowErrors = (result.diagnostics || []).filter(d => d.severity === 'error').length;
+    const suspicious = rowErrors > 0 ||
+        (result.warnings || []).length > 0 ||
+        result.meetings.length === 0 ||
+        (reversions && reversions.suppressed + reversions.flapLimited > 0);
+    return suspicious ? SYNC_LEVELS.WARNING : SYNC_LEVELS.OK;
+}
+
+/**
+ * Record one poll from a fetchMeetings() result
+ * @param {Object} result — fetchMeetings() result
+ * @param {{ trigger?: string, backoffMs?: number, nextPollMs?: number|null, pollReason?: string|null, reversions?: Object|null }} [extra]
+ * @returns {SyncLogEntry}
+ */
+export function recordSyncAttempt(result, { trigger = 'auto', backoffMs = 0, nextPollMs = null, pollReason = null, reversions = null } = {}) {
+    const entry = {
+        at: new Date().toISOString(),
+        trigger,
+        source: result.source || '',
+        durationMs: result.durationMs || 0,
+        level: levelFor(result, reversions),
+        fromCache: !!result.fromCache,
+        meetingCount: result.fromCache ? 0 : result.meetings.length,
+        rowErrors: (result.diagnostics || []).filter(d => d.severity === 'error').length,
+        warnings: (result.warnings || []).map(w => w.message),
+        error: result.error || null,
+        backoffMs,
+        nextPollMs,
+        pollReason,
+        reversions
+    };
+
+    const log = [entry, ...getSyncLog()].slice(0, MAX_LOG_ENTRIES);
+    try {
+        localStorage.setItem(STORAGE_KEY_SYNC_LOG, JSON.stringify(log));
+    } catch (e) {
+        console.warn('[Health] Log save failed:', e);
+    }
+
+    if (listener) listener(entry, log);
+    return entry;
+}
+
+// ========================================
+// 🩺 Summary
+// ========================================
+
+/**
+ * Current health from the log
+ * @returns {{ level: string, last: SyncLogEntry|null, lastSuccessAt: string|null, consecutiveFailures: number }}
+ */
+export function getSyncHealth(log = getSyncLog()) {
+    const last = log[0] || null;
+    const failures = log.findIndex(e => !e.fromCache);
+    const lastSuccess = log.find(e => !e.fromCache);
+
+    return {
+        level: last ? last.level : SYNC_LEVELS.WARNING,
+        last,
+        lastSuccessAt: lastSuccess ? lastSuccess.at : null,
+        consecutiveFailures: failures === -1 ? log.length : failures
+    };
+}
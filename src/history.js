@@ -0,0 +1,226 @@
+/**
+ * history.js — Persistent meeting history (IndexedDB)
+ * Keeps every meeting ever synced, with a new version each time its content changes,
+ * so archived month tabs stay searchable. The localStorage snapshot in data.js remains
+ * the synchronous "current list" cache; this store is the long-term record.
+ */
+
+import { findEngineer } from './engineers.js';
+import { getTicketNumber } from './identity.js';
+
+// ========================================
+// 🗄️ Database
+// ========================================
+
+const DB_NAME = 'aait_history';
+const DB_VERSION = 1;
+const STORE_MEETINGS = 'meetings'; // Latest version of every meeting ever seen (keyed by id)
+const STORE_VERSIONS = 'versions'; // One entry per meeting per content change
+const STORE_META = 'meta';
+
+const LEGACY_STORAGE_KEY_DATA = 'aait_meetings_data';
+const LEGACY_STORAGE_KEY_LAST_SYNC = 'aait_last_sync';
+
+/**
+ * @typedef {Meeting & {
+ *   ticket: string, fingerprint: string, firstSeen: string, lastSeen: string, versionCount: number
+ * }} HistoryRecord
+ */
+
+/**
+ * @typedef {Object} MeetingVersion
+ * @property {string}  meetingId
+ * @property {string}  syncedAt    — ISO time of the sync that saw this content
+ * @property {Meeting} meeting
+ */
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+});
+
+/**
+ * Open (and on first run create + migrate) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDB() {
+    if (dbPromise) return dbPromise;
+
+    // Read the legacy snapshot now, before a sync in progress overwrites it
+    const legacy = readLegacySnapshot();
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB غير متاح في هذا المتصفح'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const meetings = db.createObjectStore(STORE_MEETINGS, { keyPath: 'id' });
+            meetings.createIndex('date', 'date');
+            meetings.createIndex('ticket', 'ticket');
+
+            const versions = db.createObjectStore(STORE_VERSIONS, { autoIncrement: true });
+            versions.createIndex('meetingId', 'meetingId');
+
+            db.createObjectStore(STORE_META, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+        await migrateLocalCache(db, legacy);
+        return db;
+    });
+
+    // Allow a retry on the next call instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+// ========================================
+// ✍️ Writing
+// ========================================
+
+const CONTENT_FIELDS = ['date', 'time', 'project', 'team', 'via', 'status', 'ticketUrl', 'meetUrl', 'clientStatus'];
+
+/**
+ * Content signature — a new version is stored only when it changes
+ */
+function fingerprintOf(meeting) {
+    return JSON.stringify(CONTENT_FIELDS.map(k => (meeting[k] || '').trim()));
+}
+
+/**
+ * Upsert meetings and append versions for new/changed ones (one transaction)
+ */
+function writeSync(db, meetings, syncedAt) {
+    const tx = db.transaction([STORE_MEETINGS, STORE_VERSIONS], 'readwrite');
+    const store = tx.objectStore(STORE_MEETINGS);
+    const versions = tx.objectStore(STORE_VERSIONS);
+
+    for (const meeting of meetings) {
+        if (!meeting || !meeting.id) continue;
+
+        // Callbacks (not await) keep the transaction alive between get and put
+        const request = store.get(meeting.id);
+        request.onsuccess = () => {
+            const previous = request.result;
+            const fingerprint = fingerprintOf(meeting);
+            const changed = !previous || previous.fingerprint !== fingerprint;
+
+            if (changed) versions.add({ meetingId: meeting.id, syncedAt, meeting });
+            store.put({
+                ...meeting,
+                ticket: getTicketNumber(meeting),
+                fingerprint,
+                firstSeen: previous?.firstSeen || syncedAt,
+                lastSeen: syncedAt,
+                versionCount: (previous?.versionCount || 0) + (changed ? 1 : 0)
+            });
+        };
+    }
+
+    return transactionDone(tx);
+}
+
+/**
+ * Record the meetings of a successful sync
+ * @param {Meeting[]} meetings
+ * @param {string} [syncedAt] — ISO timestamp (defaults to now)
+ */
+export async function recordSync(meetings, syncedAt = new Date().toISOString()) {
+    const db = await openHistoryDB();
+    await writeSync(db, meetings, syncedAt);
+}
+
+function readLegacySnapshot() {
+    try {
+        const meetings = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY_DATA) || '[]');
+        return {
+            meetings: Array.isArray(meetings) ? meetings : [],
+            syncedAt: localStorage.getItem(LEGACY_STORAGE_KEY_LAST_SYNC) || new Date().toISOString()
+        };
+    } catch {
+        return { meetings: [], syncedAt: new Date().toISOString() };
+    }
+}
+
+/**
+ * First run: import the localStorage snapshot so history starts from the last known sync
+ */
+async function migrateLocalCache(db, legacy) {
+    const done = await promisify(db.transaction(STORE_META).objectStore(STORE_META).get('migratedLocalCache'));
+    if (done) return;
+
+    if (legacy.meetings.length > 0) {
+        await writeSync(db, legacy.meetings, legacy.syncedAt);
+        console.log(`[History] 📦 تم ترحيل ${legacy.meetings.length} اجتماع من التخزين المحلي`);
+    }
+
+    const tx = db.transaction(STORE_META, 'readwrite');
+    tx.objectStore(STORE_META).put({ key: 'migratedLocalCache', at: new Date().toISOString() });
+    await transactionDone(tx);
+}
+
+// ========================================
+// 🔎 Queries
+// ========================================
+
+/**
+ * Search the history (latest version of each meeting)
+ * @param {Object} [query]
+ * @param {string} [query.from]        — YYYY/MM/DD (inclusive)
+ * @param {string} [query.to]          — YYYY/MM/DD (inclusive)
+ * @param {string} [query.engineerId]  — Engineer registry id
+ * @param {string} [query.ticket]      — Ticket number (AA123)
+ * @returns {Promise<HistoryRecord[]>} sorted by date and time (rejects when from is after to)
+ */
+export async function queryHistory({ from = '', to = '', engineerId = '', ticket = '' } = {}) {
+    // IDBKeyRange.bound throws a DataError on a reversed range
+    if (from && to && from > to) throw new Error('تاريخ البداية بعد تاريخ النهاية');
+
+    const db = await openHistoryDB();
+    const store = db.transaction(STORE_MEETINGS).objectStore(STORE_MEETINGS);
+    const ticketKey = ticket.trim().toUpperCase();
+
+    // Narrow with the most selective index, then filter the rest in memory
+    let records;
+    if (ticketKey) {
+        records = await promisify(store.index('ticket').getAll(ticketKey));
+    } else if (from || to) {
+        const range = from && to ? IDBKeyRange.bound(from, to)
+            : from ? IDBKeyRange.lowerBound(from)
+            : IDBKeyRange.upperBound(to);
+        records = await promisify(store.index('date').getAll(range));
+    } else {
+        records = await promisify(store.getAll());
+    }
+
+    return records
+        .filter(r => (!from || r.date >= from) && (!to || r.date <= to))
+        // Engineer is resolved now, so registry edits apply to old records too
+        .filter(r => !engineerId || findEngineer(r.team)?.id === engineerId)
+        .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * All stored versions of one meeting, oldest first
+ * @param {string} meetingId
+ * @returns {Promise<MeetingVersion[]>}
+ */
+export async function getMeetingVersions(meetingId) {
+    const db = await openHistoryDB();
+    const index = db.transaction(STORE_VERSIONS).objectStore(STORE_VERSIONS).index('meetingId');
+    const versions = await promisify(index.getAll(meetingId));
+    return versions.sort((a, b) => a.syncedAt.localeCompare(b.syncedAt));
+}
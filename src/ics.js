@@ -0,0 +1,296 @@
+/**
+ * ics.js — iCalendar (RFC 5545) support: reading VEVENTs from a calendar feed
+ * and exporting meetings as an .ics file
+ */
+
+import { isCancelled } from './data.js';
+import { findEngineer } from './engineers.js';
+import { getAlertLeadMinutes } from './alerts.js';
+
+// ========================================
+// 📖 Parsing
+// ========================================
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid
+ * @property {string} summary
+ * @property {string} date        — YYYY/MM/DD (local)
+ * @property {string} time        — HH:MM (local, '' for all-day events)
+ * @property {string} organizer   — Organizer display name (CN) or address
+ * @property {string} categories
+ * @property {string} location
+ * @property {string} url
+ * @property {string} description
+ * @property {string} status      — VEVENT STATUS (CONFIRMED / TENTATIVE / CANCELLED)
+ */
+
+/**
+ * Unfold continuation lines (a line starting with a space/tab continues the previous one)
+ */
+function unfoldLines(text) {
+    return text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeText(value) {
+    return value
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+/**
+ * "DTSTART;TZID=Asia/Riyadh:20261019T140000" → { name, params, value }
+ */
+function parseContentLine(line) {
+    // The value starts at the first colon outside a quoted parameter
+    let inQuotes = false;
+    let split = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) {
+            split = i;
+            break;
+        }
+    }
+    if (split === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, split).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const eq = part.indexOf('=');
+        if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * DTSTART value → local { date: 'YYYY/MM/DD', time: 'HH:MM' }.
+ * UTC values (…Z) are converted to local time; floating and TZID values are
+ * taken as wall-clock time (the feed's zone is the office's zone).
+ */
+function parseDateTime(value) {
+    const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!m) return null;
+
+    const [, y, mo, d, h, mi, , utc] = m;
+    if (h === undefined) return { date: `${y}/${mo}/${d}`, time: '' };
+
+    if (utc) {
+        const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+        return {
+            date: `${local.getFullYear()}/${pad2(local.getMonth() + 1)}/${pad2(local.getDate())}`,
+            time: `${pad2(local.getHours())}:${pad2(local.getMinutes())}`
+        };
+    }
+    return { date: `${y}/${mo}/${d}`, time: `${h}:${mi}` };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * @param {string} text
+ * @returns {CalendarEvent[]}
+ */
+export function parseICS(text) {
+    if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('الرابط لا يعيد تقويم iCalendar صالحاً');
+
+    const events = [];
+    let current = null;
+    let depth = 0; // Nested components (VALARM) inside a VEVENT
+
+    for (const line of unfoldLines(text)) {
+        const prop = parseContentLine(line);
+        if (!prop) continue;
+
+        if (prop.name === 'BEGIN') {
+            if (current) depth++;
+            else if (prop.value.toUpperCase() === 'VEVENT') {
+                current = { uid: '', summary: '', date: '', time: '', organizer: '', categories: '', location: '', url: '', description: '', status: '' };
+            }
+            continue;
+        }
+        if (prop.name === 'END') {
+            if (current && depth > 0) depth--;
+            else if (current && prop.value.toUpperCase() === 'VEVENT') {
+                events.push(current);
+                current = null;
+            }
+            continue;
+        }
+        if (!current || depth > 0) continue;
+
+        switch (prop.name) {
+            case 'UID':         current.uid = prop.value.trim(); break;
+            case 'SUMMARY':     current.summary = unescapeText(prop.value); break;
+            case 'CATEGORIES':  current.categories = unescapeText(prop.value); break;
+            case 'LOCATION':    current.location = unescapeText(prop.value); break;
+            case 'URL':         current.url = prop.value.trim(); break;
+            case 'DESCRIPTION': current.description = unescapeText(prop.value); break;
+            case 'STATUS':      current.status = prop.value.trim().toUpperCase(); break;
+            case 'ORGANIZER':
+                current.organizer = prop.params.CN || prop.value.replace(/^mailto:/i, '');
+                break;
+            case 'DTSTART': {
+                const start = parseDateTime(prop.value.trim());
+                if (start) Object.assign(current, start);
+                break;
+            }
+        }
+    }
+
+    return events;
+}
+
+// ========================================
+// 📤 Export
+// ========================================
+
+export const EXPORT_RANGES = {
+    DAY: 'day',
+    WEEK: 'week',   // 7 days starting at the chosen date
+    MONTH: 'month'  // Calendar month of the chosen date
+};
+
+const MEETING_DURATION_MINUTES = 60; // The sheet has no end time
+const DATE_RE = /^\d{4}\/\d{2}\/\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+/**
+ * Meetings in a date range, optionally for one engineer
+ * @param {Meeting[]} meetings
+ * @param {{ range: string, date: string, engineerId?: string }} options
+ *   date is 'YYYY/MM/DD'; engineerId is an engineer registry id ('' = everyone)
+ * @returns {Meeting[]} sorted by date and time
+ */
+export function selectMeetingsForExport(meetings, { range, date, engineerId = '' }) {
+    const [y, m, d] = date.split('/').map(Number);
+    const toKey = (dt) => `${dt.getFullYear()}/${pad2(dt.getMonth() + 1)}/${pad2(dt.getDate())}`;
+
+    let from = date;
+    let to = date;
+    if (range === EXPORT_RANGES.WEEK) {
+        to = toKey(new Date(y, m - 1, d + 6));
+    } else if (range === EXPORT_RANGES.MONTH) {
+        from = toKey(new Date(y, m - 1, 1));
+        to = toKey(new Date(y, m, 0));
+    }
+
+    return meetings
+        .filter(mt => DATE_RE.test(mt.date || '') && TIME_RE.test(mt.time || ''))
+        .filter(mt => mt.date >= from && mt.date <= to)
+        .filter(mt => !engineerId || findEngineer(mt.team)?.id === engineerId)
+        .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/[,;]/g, '\\$&')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (bytes + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += ch;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Date → UTC 'YYYYMMDDTHHMMSSZ'
+ */
+function formatUTC(dt) {
+    return `${dt.getUTCFullYear()}${pad2(dt.getUTCMonth() + 1)}${pad2(dt.getUTCDate())}` +
+        `T${pad2(dt.getUTCHours())}${pad2(dt.getUTCMinutes())}${pad2(dt.getUTCSeconds())}Z`;
+}
+
+const isLink = (url) => /^https?:\/\//i.test(url || '');
+
+function meetingToEvent(meeting, stamp) {
+    const [y, mo, d] = meeting.date.split('/').map(Number);
+    const [h, mi] = meeting.time.split(':').map(Number);
+    const start = new Date(y, mo - 1, d, h, mi);
+    const end = new Date(start.getTime() + MEETING_DURATION_MINUTES * 60000);
+    const cancelled = isCancelled(meeting);
+
+    const details = [
+        meeting.team && `المهندس: ${meeting.team}`,
+        meeting.via && `عبر: ${meeting.via}`,
+        meeting.status && `الحالة: ${meeting.status}`,
+        isLink(meeting.meetUrl) && `رابط الاجتماع: ${meeting.meetUrl}`,
+        isLink(meeting.ticketUrl) && `التذكرة: ${meeting.ticketUrl}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${meeting.id}@aait-sales`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatUTC(start)}`,
+        `DTEND:${formatUTC(end)}`,
+        `SUMMARY:${escapeText(meeting.project)}`,
+        `DESCRIPTION:${escapeText(details)}`
+    ];
+    if (meeting.team) lines.push(`CATEGORIES:${escapeText(meeting.team)}`);
+    if (isLink(meeting.meetUrl)) lines.push(`LOCATION:${escapeText(meeting.meetUrl)}`);
+    else if (meeting.via) lines.push(`LOCATION:${escapeText(meeting.via)}`);
+    if (isLink(meeting.meetUrl) || isLink(meeting.ticketUrl)) {
+        lines.push(`URL:${isLink(meeting.meetUrl) ? meeting.meetUrl : meeting.ticketUrl}`);
+    }
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+
+    // Same reminders as the dashboard's alert rules for this meeting
+    if (!cancelled) {
+        for (const lead of getAlertLeadMinutes(meeting)) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `TRIGGER:-PT${lead}M`,
+                `DESCRIPTION:${escapeText(`${meeting.project} — بعد ${lead} دقيقة`)}`,
+                'END:VALARM'
+            );
+        }
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an iCalendar document from meetings (times exported in UTC)
+ * @param {Meeting[]} meetings
+ * @param {string} calendarName
+ * @returns {string}
+ */
+export function buildICS(meetings, calendarName) {
+    const stamp = formatUTC(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AAIT//Sales Meetings Dashboard//AR',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        ...meetings.flatMap(m => meetingToEvent(m, stamp)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,170 @@
+/**
+ * identity.js — Meeting identity reconciliation between syncs
+ * Keeps a meeting's id when it is rescheduled or its title is edited, so alert
+ * de-duplication (fired-alert keys) and the anti-flap tracker keep working.
+ */
+
+import { findEngineer } from './engineers.js';
+import { normalizeHeader } from './columns.js';
+
+// ========================================
+// 🧩 Matching Helpers
+// ========================================
+
+const TICKET_RE = /AA\d+/i;
+
+// Minimum score for a fuzzy match (see scorePair)
+const MATCH_THRESHOLD = 3;
+
+/**
+ * Ticket number (AA123) from the project text, upper-cased
+ */
+export function getTicketNumber(meeting) {
+    const match = (meeting.project || '').match(TICKET_RE);
+    return match ? match[0].toUpperCase() : '';
+}
+
+function engineerKey(meeting) {
+    const engineer = findEngineer(meeting.team);
+    return engineer ? engineer.id : normalizeHeader(meeting.team);
+}
+
+function normalizedTitle(meeting) {
+    return normalizeHeader((meeting.project || '').replace(TICKET_RE, ''));
+}
+
+/**
+ * Dice coefficient over character bigrams (0..1)
+ */
+function similarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = (s) => {
+        const map = new Map();
+        for (let i = 0; i < s.length - 1; i++) {
+            const bg = s.slice(i, i + 2);
+            map.set(bg, (map.get(bg) || 0) + 1);
+        }
+        return map;
+    };
+
+    const aGrams = bigrams(a);
+    const bGrams = bigrams(b);
+    let overlap = 0;
+    for (const [bg, count] of aGrams) {
+        overlap += Math.min(count, bGrams.get(bg) || 0);
+    }
+    return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+function minutesApart(a, b) {
+    const toMin = (t) => {
+        const [h, m] = (t || '').split(':').map(Number);
+        return h * 60 + m;
+    };
+    const diff = Math.abs(toMin(a.time) - toMin(b.time));
+    return isNaN(diff) ? Infinity : diff;
+}
+
+/**
+ * Score how likely two meetings are the same one.
+ *  - Different ticket numbers or different sheets → never the same meeting
+ *  - Same ticket: +3, same engineer: +1, title similarity: up to +2,
+ *    same date: +1, start within 2 hours: +0.5
+ * @returns {number} -1 when the pair is ruled out
+ */
+function scorePair(oldM, newM) {
+    if (oldM.sourceId && newM.sourceId && oldM.sourceId !== newM.sourceId) return -1;
+
+    const oldTicket = getTicketNumber(oldM);
+    const newTicket = getTicketNumber(newM);
+    if (oldTicket && newTicket && oldTicket !== newTicket) return -1;
+
+    const sameEngineer = engineerKey(oldM) === engineerKey(newM);
+    const titleScore = similarity(normalizedTitle(oldM), normalizedTitle(newM));
+
+    let score = 0;
+    if (oldTicket && oldTicket === newTicket) score += 3;
+    if (sameEngineer) score += 1;
+    score += titleScore * 2;
+    if (oldM.date === newM.date) score += 1;
+    if (minutesApart(oldM, newM) <= 120) score += 0.5;
+
+    // Without a shared ticket, demand the same engineer and a close title
+    if (!(oldTicket && oldTicket === newTicket) && (!sameEngineer || titleScore < 0.75)) return -1;
+    return score;
+}
+
+// ========================================
+// 🔗 Reconciliation
+// ========================================
+
+/**
+ * Carry ids from the previous sync forward to the new meeting list.
+ *  1. Meetings with a sheet ID column keep that id (authoritative).
+ *  2. Unchanged meetings match on their content hash (rawId).
+ *  3. The rest are paired greedily by scorePair (ticket, engineer, fuzzy title).
+ * Ids in the result are unique.
+ *
+ * @param {Meeting[]} previous — last known meetings (with carried ids)
+ * @param {Meeting[]} next     — freshly parsed meetings (id === rawId)
+ * @returns {Meeting[]}
+ */
+export function reconcileMeetings(previous, next) {
+    if (!previous || previous.length === 0) return next;
+
+    const result = next.map(m => ({ ...m }));
+    const unmatchedOld = new Set(previous.filter(m => m.idSource !== 'sheet'));
+    const pending = [];
+    const matched = new Set();
+
+    // Pass 1 & 2: sheet ids and unchanged rows
+    const oldByRaw = new Map();
+    for (const m of unmatchedOld) oldByRaw.set(m.rawId || m.id, m);
+
+    for (const m of result) {
+        if (m.idSource === 'sheet') continue;
+        const old = oldByRaw.get(m.rawId);
+        if (old && unmatchedOld.has(old)) {
+            m.id = old.id;
+            unmatchedOld.delete(old);
+            matched.add(m);
+        } else {
+            pending.push(m);
+        }
+    }
+
+    // Pass 3: fuzzy pairing, best scores first
+    const pairs = [];
+    for (const newM of pending) {
+        for (const oldM of unmatchedOld) {
+            const score = scorePair(oldM, newM);
+            if (score >= MATCH_THRESHOLD) pairs.push({ oldM, newM, score });
+        }
+    }
+    pairs.sort((a, b) => b.score - a.score);
+
+    for (const { oldM, newM } of pairs) {
+        if (matched.has(newM) || !unmatchedOld.has(oldM)) continue;
+        newM.id = oldM.id;
+        unmatchedOld.delete(oldM);
+        matched.add(newM);
+    }
+
+    // Keep ids unique: an unmatched row may hash to an id now carried by
+    // another meeting, and duplicated sheet rows share one hash
+    const used = new Set([...matched].map(m => m.id));
+    for (const m of result) {
+        if (matched.has(m)) continue;
+        if (used.has(m.id)) {
+            const base = m.id;
+            let n = 2;
+            while (used.has(`${base}-${n}`)) n++;
+            m.id = `${base}-${n}`;
+        }
+        used.add(m.id);
+    }
+
+    return result;
+}
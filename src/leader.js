@@ -0,0 +1,177 @@
+/**
+ * leader.js — Cross-tab coordination: one open dashboard tab (the leader) polls the
+ * sheet and plays alerts; the other tabs receive its results and take over when it closes.
+ * Election: Web Locks when available, otherwise a localStorage lease with heartbeats.
+ * Messages: BroadcastChannel, otherwise localStorage 'storage' events.
+ */
+
+// ========================================
+// 👑 Roles & Messages
+// ========================================
+
+const CHANNEL_NAME = 'aait_dashboard';
+const LOCK_NAME = 'aait_leader';
+const STORAGE_KEY_LEASE = 'aait_leader_lease';
+const STORAGE_KEY_MESSAGE = 'aait_tab_message';
+const LEASE_TTL_MS = 10 * 1000;
+const HEARTBEAT_MS = 2 * 1000;
+
+export const TAB_ROLES = {
+    LEADER: 'leader',
+    FOLLOWER: 'follower'
+};
+
+export const TAB_MESSAGES = {
+    SYNC: 'sync',                       // Leader → followers: a fetchMeetings() result
+    STATE_REQUEST: 'state-request',     // Follower → leader: resend the latest result
+    REFRESH_REQUEST: 'refresh-request', // Follower → leader: manual refresh was clicked
+    VISIBILITY: 'visibility',           // Follower → leader: { visible } — is anyone looking?
+    LEADER_CHANGED: 'leader-changed',   // New leader → followers: report your visibility again
+    ALERT_ACTION: 'alert-action'        // Leader → followers: an alert was acknowledged / snoozed
+};
+
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let role = null;
+let roleListener = null;
+let messageListener = null;
+let channel = null;
+let messageSeq = 0;
+let started = false;
+
+export function isLeader() {
+    return role === TAB_ROLES.LEADER;
+}
+
+function setRole(next) {
+    if (role === next) return;
+    role = next;
+    console.log(next === TAB_ROLES.LEADER
+        ? '[Leader] 👑 هذا التبويب يتولى المزامنة والتنبيهات'
+        : '[Leader] 👥 تبويب تابع — المزامنة والتنبيهات في تبويب آخر');
+    if (roleListener) roleListener(next);
+}
+
+// ========================================
+// 📨 Messaging
+// ========================================
+
+function deliver(message) {
+    if (!message || message.from === tabId) return;
+    if (messageListener) messageListener(message.type, message.payload, message.from);
+}
+
+function openChannel() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (event) => deliver(event.data);
+        return;
+    }
+
+    // Fallback: other tabs see every localStorage write as a 'storage' event
+    window.addEventListener('storage', (event) => {
+        if (event.key !== STORAGE_KEY_MESSAGE || !event.newValue) return;
+        try {
+            deliver(JSON.parse(event.newValue));
+        } catch {
+            // Ignore malformed messages
+        }
+    });
+}
+
+/**
+ * Send a message to every other dashboard tab
+ * @param {string} type — One of TAB_MESSAGES
+ * @param {*} [payload] — Structured-cloneable (JSON-serialisable for the fallback)
+ */
+export function broadcast(type, payload = null) {
+    // seq keeps consecutive fallback writes distinct, so each one fires a storage event
+    const message = { type, payload, from: tabId, seq: ++messageSeq };
+    if (channel) {
+        channel.postMessage(message);
+        return;
+    }
+    try {
+        localStorage.setItem(STORAGE_KEY_MESSAGE, JSON.stringify(message));
+    } catch (e) {
+        console.warn('[Leader] Message send failed:', e);
+    }
+}
+
+// ========================================
+// 🗳️ Election
+// ========================================
+
+/**
+ * Web Locks: the leader holds the lock until its tab closes, then the browser
+ * grants it to the next waiting tab.
+ */
+function electWithWebLocks() {
+    const holdForever = () => {
+        setRole(TAB_ROLES.LEADER);
+        return new Promise(() => {});
+    };
+
+    navigator.locks.request(LOCK_NAME, { ifAvailable: true }, (lock) => {
+        if (lock) return holdForever();
+        setRole(TAB_ROLES.FOLLOWER);
+        navigator.locks.request(LOCK_NAME, holdForever);
+        return null;
+    });
+}
+
+function readLease() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_LEASE) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fallback: a lease renewed every heartbeat. A lease left to expire (tab closed,
+ * crashed or throttled) is taken over by the next tab that checks.
+ */
+function electWithLease() {
+    const check = () => {
+        const lease = readLease();
+        const now = Date.now();
+
+        if (lease && lease.id !== tabId && lease.expires > now) {
+            setRole(TAB_ROLES.FOLLOWER);
+            return;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY_LEASE, JSON.stringify({ id: tabId, expires: now + LEASE_TTL_MS }));
+        } catch (e) {
+            console.warn('[Leader] Lease write failed:', e);
+        }
+        // Two tabs may claim at once — the write that survived wins, the other steps down next check
+        setRole(readLease()?.id === tabId ? TAB_ROLES.LEADER : TAB_ROLES.FOLLOWER);
+    };
+
+    check();
+    setInterval(check, HEARTBEAT_MS);
+
+    // Hand over right away instead of waiting for the lease to expire
+    window.addEventListener('pagehide', () => {
+        if (readLease()?.id === tabId) localStorage.removeItem(STORAGE_KEY_LEASE);
+    });
+}
+
+/**
+ * Join the election. onRole runs with the initial role and again on every change
+ * (a follower becomes leader when the leader tab closes; with the lease fallback a
+ * leader can also step down).
+ * @param {{ onRole: (role: string) => void, onMessage: (type: string, payload: *, fromTabId: string) => void }} handlers
+ */
+export function startTabCoordination({ onRole, onMessage }) {
+    roleListener = onRole;
+    messageListener = onMessage;
+    if (started) return;
+    started = true;
+
+    openChannel();
+    if (typeof navigator !== 'undefined' && navigator.locks) electWithWebLocks();
+    else electWithLease();
+}
@@ -1,26 +1,86 @@
 import './style.css';
 import { 
     startAutoSync, 
+    stopAutoSync,
+    wakeAutoSync,
+    POLL_REASONS,
     fetchMeetings, 
     getSettings, 
     updateSettings, 
     formatTime12h, 
     isDone, 
     isCancelled,
-    formatTodayDate
+    formatTodayDate,
+    getTabGids,
+    getMonthKey,
+    getLastSyncTime,
+    loadCachedMeetings,
+    fetchTabMapFromConfig,
+    getSheets,
+    MAIN_SHEET_ID,
+    DIAGNOSTIC_SEVERITY
 } from './data.js';
 import { 
     startNotificationLoop, 
+    stopNotificationLoop,
     requestNotificationPermission,
     unlockAudio,
     setAudioStateListener,
+    setAlertActionListener,
+    setAudioQueueListener,
+    getSpeechVoices,
+    buildSpeechText,
+    previewSpeech,
+    showToast,
     AUDIO_STATE
 } from './notifications.js';
 import { 
     escapeHTML, 
     formatMeetingCount,
-    getEngineerShortName
+    getEngineerShortName,
+    getMeetingType,
+    parseMeetingTitle,
+    MEETING_TYPES
 } from './utils.js';
+import {
+    getEngineers,
+    saveEngineers,
+    findEngineer,
+    DEFAULT_ENGINEERS,
+    DEFAULT_ENGINEER_GRADIENT,
+    DEFAULT_ENGINEER_COLOR
+} from './engineers.js';
+import { COLUMN_FIELDS } from './columns.js';
+import { diffMeetings, recordChanges, getTodayChanges, CHANGE_TYPES } from './changes.js';
+import { SOURCE_ADAPTERS, SOURCE_TYPES, getActiveSource, importLocalFile, getLocalFileInfo } from './sources.js';
+import { buildICS, selectMeetingsForExport, EXPORT_RANGES } from './ics.js';
+import { queryHistory, getMeetingVersions } from './history.js';
+import { getSyncLog, getSyncHealth, setSyncHealthListener, recordSyncAttempt, SYNC_LEVELS } from './health.js';
+import { startTabCoordination, broadcast, isLeader, TAB_ROLES, TAB_MESSAGES } from './leader.js';
+import { listSounds, addSound, updateSound, deleteSound, getSoundPlayback } from './sounds.js';
+import {
+    notifyWebhooks,
+    startWebhookDelivery,
+    stopWebhookDelivery,
+    sendTestWebhook,
+    flushOutbox,
+    clearOutbox,
+    getOutbox,
+    setOutboxListener,
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    DEFAULT_WEBHOOK_TEMPLATES
+} from './webhooks.js';
+import {
+    getAlertRules,
+    saveAlertRules,
+    getTodayAlertActions,
+    nearestSoundClip,
+    ALERT_ACTIONS,
+    DEFAULT_ALERT_RULES,
+    ALERT_LEVELS,
+    SOUND_CLIPS
+} from './alerts.js';
 
 // ========================================
 // 🌐 State & Constants
@@ -28,6 +88,8 @@ import {
 
 const DEFAULT_KEY = '2PACX-1vRMptn5kgbKPmukUxf-9os30G_B3HpvenSged4a5D3GcIS8UgAu9inlHRwe2gq28A';
 let activeMeetings = [];
+let lastDiagnostics = [];
+let lastSyncedMeetings = null; // Last live (non-cache) meeting list, for the change feed
 // BUG-03 tracker
 let clockIntervalId = null;
 let dynamicUpdateIntervalId = null;
@@ -42,15 +104,18 @@ function toEn(str) {
     return str.toString().replace(/[٠-٩]/g, d => '٠١٢٣٤٥٦٧٨٩'.indexOf(d));
 }
 
-// ⚠️ NOTE: Engineer name matching is also handled in utils.js → getEngineerShortName()
-// If you add or rename an engineer, update BOTH functions.
+// Engineer names, colours and themes all come from the registry in engineers.js
 function getDeveloperGradient(team) {
-    const t = (team || '').toLowerCase();
-    if (/أشرف|اشرف|ashraf/i.test(t)) return 'linear-gradient(135deg, #00C853, #1de9b6)';
-    if (/مجاهد|mojahed/i.test(t)) return 'linear-gradient(135deg, #2962FF, #00B0FF)';
-    if (/شادي|shady/i.test(t)) return 'linear-gradient(135deg, #C6242C, #9B1B22)';
-    if (/حسام|hossam/i.test(t)) return 'linear-gradient(135deg, #FF6D00, #FFAB00)';
-    return 'linear-gradient(135deg, #334155, #1e293b)';
+    const engineer = findEngineer(team);
+    return (engineer && engineer.gradient) || DEFAULT_ENGINEER_GRADIENT;
+}
+
+/**
+ * Read a non-negative integer from an input, keeping the fallback when blank/invalid
+ */
+function readIntInput(id, fallback) {
+    const n = parseInt(document.getElementById(id)?.value, 10);
+    return isNaN(n) ? fallback : Math.max(0, n);
 }
 
 // ========================================
@@ -87,30 +152,310 @@ function animateCount(id, targetValue, duration = 1500) {
     requestAnimationFrame(update);
 }
 
-function renderUI(meetings) {
-    const grid = document.getElementById('meetings-grid');
-    if (!grid) {
-        console.error('Missing #meetings-grid');
+// Marker next to times that were not written with ص/م in the sheet
+const TIME_SOURCE_MARKERS = {
+    inferred: '<span class="mc-time-marker inferred" title="الوقت مُستنتج من ساعات العمل (بدون ص/م)">≈</span>',
+    ambiguous: '<span class="mc-time-marker ambiguous" title="الوقت غير مؤكد — أضف ص أو م في الشيت">؟</span>'
+};
+
+// ========================================
+// 📚 Source Filter (several merged sheets)
+// ========================================
+
+const STORAGE_KEY_SOURCE_FILTER = 'aait_source_filter';
+
+/**
+ * Sheets to label and filter by — only when the Google source merges more than one
+ */
+function getMergedSheets() {
+    if (getActiveSource().id !== SOURCE_TYPES.GOOGLE_SHEET) return [];
+    const sheets = getSheets();
+    return sheets.length > 1 ? sheets : [];
+}
+
+/**
+ * Selected sheet id ('' = all). A filter for a removed sheet falls back to all.
+ */
+function getSourceFilter() {
+    const id = localStorage.getItem(STORAGE_KEY_SOURCE_FILTER) || '';
+    return getMergedSheets().some(s => s.id === id) ? id : '';
+}
+
+function matchesSourceFilter(meeting, filter = getSourceFilter()) {
+    return !filter || meeting.sourceId === filter;
+}
+
+function renderSourceFilter(meetings) {
+    const bar = document.getElementById('source-filter');
+    if (!bar) return;
+
+    const sheets = getMergedSheets();
+    bar.hidden = sheets.length === 0;
+    if (sheets.length === 0) {
+        bar.innerHTML = '';
         return;
     }
 
     const today = formatTodayDate();
-    const todayMeetings = meetings.filter(m => m.date === today);
+    const active = getSourceFilter();
+    const countFor = (id) => meetings.filter(m => m.date === today && matchesSourceFilter(m, id)).length;
+
+    bar.innerHTML = [{ id: '', label: 'كل الشيتات' }, ...sheets].map(s => `
+        <button type="button" class="source-chip ${s.id === active ? 'active' : ''}" data-id="${escapeHTML(s.id)}"
+                onclick="window.setSourceFilter(this.dataset.id)">
+            ${escapeHTML(s.label)} <span class="source-chip-count en-nums">${countFor(s.id)}</span>
+        </button>
+    `).join('');
+}
 
-    // Update Stats (Arabic Grammar)
+window.setSourceFilter = (id) => {
+    localStorage.setItem(STORAGE_KEY_SOURCE_FILTER, id);
+    renderUI(activeMeetings);
+};
+
+/**
+ * Latest alert acknowledgement / snooze of a meeting, as a card badge
+ * @param {AlertAction[]} [actions]
+ */
+function renderAlertActionBadge(actions) {
+    if (!actions || !actions.length) return '';
+    const clock = (at) => formatTime12h(new Date(at).toTimeString().slice(0, 5));
+    const describe = (a) => (a.action === ALERT_ACTIONS.ACK
+        ? `✔ تم التأكيد ${clock(a.at)}`
+        : `💤 غفوة ${a.minutes} د · ${clock(a.at)}`);
+    const history = actions.map(describe).join('\n');
+    return `<div class="mc-ack en-nums" title="${escapeHTML(history)}">${escapeHTML(describe(actions[actions.length - 1]))}</div>`;
+}
+
+/**
+ * HTML of one meeting card (the string doubles as the card's change signature)
+ * @param {{ sheetLabels: Map<string, string>, alertActions: Object<string, AlertAction[]> }} context
+ */
+function renderMeetingCard(m, { sheetLabels, alertActions }) {
+    const done = isDone(m);
+    const cancelled = isCancelled(m);
+    const gradient = getDeveloperGradient(m.team);
+    const engineer = findEngineer(m.team);
+    const themeClass = (engineer && engineer.theme) || '';
+
+    // Meeting Type Classification (Sourced ONLY from m.via)
+    let meetingType = (m.via || '').trim();
+    const typeClass = `type-${getMeetingType(meetingType)}`;
+
+    // Simplified Parsing: Client (first part) - Project (rest)
+    const { ticketNum, client: parsedClient, projectDesc } = parseMeetingTitle(m.project);
+    const client = parsedClient || '—';
+
+    const isOnline = /بعد|remote|zoom|google meet|online|اون لاين/i.test(meetingType) || typeClass === 'type-online';
+    const engineerLabel = getEngineerShortName(m.team);
+
+    return `
+        <div class="meeting-card ${done ? 'completed' : ''} ${cancelled ? 'cancelled' : ''} 
+             ${escapeHTML(themeClass)}" data-id="${escapeHTML(m.id)}"
+             style="background: ${escapeHTML(gradient)}">
+          <div class="card-bg-pattern"></div>
+          ${cancelled ? '<div class="move-alert"><i data-lucide="info"></i> ملغي / تعديل</div>' : ''}
+
+          ${(isOnline && m.meetUrl) ? `
+            <a href="${m.meetUrl}" target="_blank" class="mc-quick-join" title="انضمام سريع">
+              <i data-lucide="video"></i>
+            </a>
+          ` : ''}
+
+          <div class="card-content">
+
+            <div class="mc-engineer">اجتماع ${escapeHTML(engineerLabel)}</div>
+
+            ${sheetLabels.has(m.sourceId) ? `<div class="mc-source">${escapeHTML(sheetLabels.get(m.sourceId))}</div>` : ''}
+
+            <div class="mc-client">${escapeHTML(client)}</div>
+
+            ${projectDesc ? `<div class="mc-project-desc">${escapeHTML(projectDesc)}</div>` : ''}
+
+            ${meetingType ? `<div class="mc-type-badge ${typeClass}">${escapeHTML(meetingType)}</div>` : ''}
+
+            ${ticketNum ? `<div class="mc-ticket-pill">${ticketNum}</div>` : ''}
+
+            ${renderAlertActionBadge(alertActions[m.id])}
+
+            <div class="mc-time">
+              <i data-lucide="clock"></i>
+              <span class="en-nums">${formatTime12h(m.time)}</span>
+              ${TIME_SOURCE_MARKERS[m.timeSource] || ''}
+            </div>
+
+          </div>
+
+          ${done ? '<div class="completed-icon"><i data-lucide="check-circle-2"></i></div>' : ''}
+        </div>
+    `;
+}
+
+// ========================================
+// 🧩 Keyed Grid Rendering
+// ========================================
+
+const CARD_LEAVE_MS = 400; // Matches --transition
+
+/**
+ * Parse card HTML into an element, remembering the parts patchCard compares
+ */
+function createCardElement(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const card = template.content.firstElementChild;
+    card._html = html;
+    card._style = card.getAttribute('style') || '';
+    card._inner = card.innerHTML;
+    return card;
+}
+
+/**
+ * Replace <i data-lucide> placeholders inside one element only —
+ * a document-wide createIcons() redraws every icon on the page
+ */
+function hydrateIcons(root) {
+    if (window.lucide) window.lucide.createIcons({ root });
+}
+
+/**
+ * Bring an on-screen card up to date without replacing the element, so
+ * class changes (pending → done) run their CSS transition
+ * @returns {boolean} whether the card changed
+ */
+function patchCard(card, html) {
+    if (card._html === html) return false;
+
+    const next = createCardElement(html);
+    if (card.className !== next.className) card.className = next.className;
+    if (card._style !== next._style) card.setAttribute('style', next._style);
+    if (card._inner !== next._inner) {
+        card.innerHTML = next._inner;
+        hydrateIcons(card);
+    }
+    card._html = html;
+    card._style = next._style;
+    card._inner = next._inner;
+    return true;
+}
+
+/**
+ * Update #meetings-grid in place, keyed by meeting id: unchanged cards are left
+ * alone (hover state and animations survive), changed cards are patched, new ones
+ * fade in, removed ones fade out and moved ones glide to their new slot (FLIP).
+ */
+function patchMeetingsGrid(grid, meetings, cardContext) {
+    const current = new Map();
+    const before = new Map();
+    for (const el of [...grid.children]) {
+        if (el.classList.contains('card-leaving')) continue;
+        if (!el.dataset.id) {
+            el.remove(); // Placeholder content from index.html
+            continue;
+        }
+        current.set(el.dataset.id, el);
+        before.set(el.dataset.id, el.getBoundingClientRect());
+    }
+
+    const gridRect = grid.getBoundingClientRect();
+    const nextIds = new Set(meetings.map(m => m.id));
+
+    // 🚪 Removed: take them out of the flow at their current spot, then fade out
+    for (const [id, card] of current) {
+        if (nextIds.has(id)) continue;
+        const rect = before.get(id);
+        card.classList.add('card-leaving');
+        Object.assign(card.style, {
+            position: 'absolute',
+            top: `${rect.top - gridRect.top - grid.clientTop + grid.scrollTop}px`,
+            left: `${rect.left - gridRect.left - grid.clientLeft + grid.scrollLeft}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+        setTimeout(() => card.remove(), CARD_LEAVE_MS);
+        current.delete(id);
+    }
+
+    // ➕ / ✏️ / ↕️ Insert, patch and order — a card is only moved when it is out of place
+    let previous = null;
+    for (const m of meetings) {
+        const html = renderMeetingCard(m, cardContext);
+        let card = current.get(m.id);
+        if (card) {
+            patchCard(card, html);
+        } else {
+            card = createCardElement(html);
+            card.classList.add('card-entering');
+            card.addEventListener('animationend', () => card.classList.remove('card-entering'), { once: true });
+        }
+
+        let slot = previous ? previous.nextElementSibling : grid.firstElementChild;
+        while (slot && slot.classList.contains('card-leaving')) slot = slot.nextElementSibling;
+        if (slot !== card) {
+            grid.insertBefore(card, slot);
+            if (!current.has(m.id)) hydrateIcons(card);
+        }
+        previous = card;
+    }
+
+    // 🎞️ FLIP: start moved cards at their old position, then let the transition glide them
+    const moved = [];
+    for (const [id, card] of current) {
+        const old = before.get(id);
+        const now = card.getBoundingClientRect();
+        const dx = old.left - now.left;
+        const dy = old.top - now.top;
+        if (Math.abs(dx) < 1 && Math.abs(dy) < 1) continue;
+        // Jump (transform 0s) without cutting short a class transition that started this frame
+        card.style.transition = 'var(--transition), transform 0s';
+        card.style.transform = `translate(${dx}px, ${dy}px)`;
+        moved.push(card);
+    }
+    if (moved.length) {
+        requestAnimationFrame(() => requestAnimationFrame(() => {
+            for (const card of moved) {
+                card.style.transition = '';
+                card.style.transform = '';
+            }
+        }));
+    }
+}
+
+/**
+ * Meetings in progress (started less than an hour ago). Clock-driven, so
+ * updateDynamicState refreshes it even when renderUI is skipped.
+ */
+function countRunningNow(todayMeetings) {
     const nowTime = new Date();
     const nowMins = nowTime.getHours() * 60 + nowTime.getMinutes();
-    const runningNow = todayMeetings.filter(m => {
+    return todayMeetings.filter(m => {
         if (isDone(m) || isCancelled(m)) return false;
         const [h, mi] = (m.time || '00:00').split(':').map(Number);
         const startMins = h * 60 + mi;
         return nowMins >= startMins && nowMins <= (startMins + 60);
-    });
+    }).length;
+}
+
+function renderUI(meetings) {
+    const grid = document.getElementById('meetings-grid');
+    if (!grid) {
+        console.error('Missing #meetings-grid');
+        return;
+    }
+
+    // Alerts still cover every sheet; the filter only narrows what is shown
+    renderSourceFilter(meetings);
+    const sourceFilter = getSourceFilter();
+    const sheetLabels = new Map(getMergedSheets().map(s => [s.id, s.label]));
+
+    const today = formatTodayDate();
+    const todayMeetings = meetings.filter(m => m.date === today && matchesSourceFilter(m, sourceFilter));
 
+    // Update Stats (Arabic Grammar)
     animateCount('stat-total', todayMeetings.length);
     animateCount('stat-done', todayMeetings.filter(m => isDone(m)).length);
     animateCount('stat-pending', todayMeetings.filter(m => !isDone(m) && !isCancelled(m)).length);
-    animateCount('stat-urgent', runningNow.length);
+    animateCount('stat-urgent', countRunningNow(todayMeetings));
 
     // Sorting: Pending First, then Done, then Cancelled
     const sorted = [...todayMeetings].sort((a, b) => {
@@ -126,81 +471,458 @@ function renderUI(meetings) {
     if (sorted.length > 20) grid.classList.add('grid-is-crowded');
     else grid.classList.remove('grid-is-crowded');
 
-    grid.innerHTML = sorted.map(m => {
-        const done = isDone(m);
-        const cancelled = isCancelled(m);
-        const gradient = getDeveloperGradient(m.team);
-        const isShady = /شادي|shady/i.test(m.team || '');
-        const isAshraf = /أشرف|اشرف|ashraf/i.test(m.team || '');
-        const isMojahed = /مجاهد|mojahed/i.test(m.team || '');
-        const isHossam = /حسام|hossam/i.test(m.team || '');
-        const ticketMatch = m.project?.match(/AA\d+/);
-        const ticketNum = ticketMatch ? ticketMatch[0] : '';
-        
-        // Meeting Type Classification (Sourced ONLY from m.via)
-        let meetingType = (m.via || '').trim();
-        let typeClass = 'type-online';
-        if (/حضوري|مكتب|مقر/i.test(meetingType)) typeClass = 'type-office';
-        else if (/خارجي|زيارة|عميل/i.test(meetingType)) typeClass = 'type-external';
-
-        // Clean project description from meeting type keywords
-        const typeKeywords = /اون لاين|أون لاين|online|remote|حضوري|خارجي|زيارة|مكتب|مقر/gi;
-        const rawTitle = (m.project || '')
-            .replace(ticketNum, '')
-            .replace(typeKeywords, '')
-            .replace(/[-_]+/g, ' ') // Remove dashes/underscores early
-            .trim();
-        
-        // Simplified Parsing: Client (first part) - Project (rest)
-        const parts = rawTitle.split(/\s{2,}| - | _ /).map(p => p.trim()).filter(p => p.length > 0);
-        let client = parts[0] || '—';
-        let projectDesc = parts.slice(1).join(' ').trim();
+    patchMeetingsGrid(grid, sorted, { sheetLabels, alertActions: getTodayAlertActions() });
 
-        const isOnline = /بعد|remote|zoom|google meet|online|اون لاين/i.test(meetingType) || typeClass === 'type-online';
-        const engineerLabel = getEngineerShortName(m.team);
+    updateDynamicState();
+}
 
-        return `
-            <div class="meeting-card ${done ? 'completed' : ''} ${cancelled ? 'cancelled' : ''} 
-                 ${isShady ? 'theme-shady' : ''} ${isAshraf ? 'theme-ashraf' : ''} 
-                 ${isMojahed ? 'theme-mojahed' : ''} ${isHossam ? 'theme-hossam' : ''}"
-                 style="background: ${gradient}">
-              <div class="card-bg-pattern"></div>
-              ${cancelled ? '<div class="move-alert"><i data-lucide="info"></i> ملغي / تعديل</div>' : ''}
+/**
+ * Show sync warnings (e.g. unmapped month tab) in the banner above the grid
+ */
+function renderWarnings(warnings = []) {
+    const banner = document.getElementById('sync-banner');
+    if (!banner) return;
 
-              ${(isOnline && m.meetUrl) ? `
-                <a href="${m.meetUrl}" target="_blank" class="mc-quick-join" title="انضمام سريع">
-                  <i data-lucide="video"></i>
-                </a>
-              ` : ''}
+    if (!warnings.length) {
+        banner.hidden = true;
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.hidden = false;
+    banner.innerHTML = warnings.map(w => `
+        <div class="sync-banner-item" data-code="${escapeHTML(w.code)}">
+            <i data-lucide="alert-triangle"></i>
+            <span>${escapeHTML(w.message)}</span>
+        </div>
+    `).join('');
+    hydrateIcons(banner);
+}
+
+// ========================================
+// 🩺 Parse Diagnostics Panel
+// ========================================
+
+const SEVERITY_LABELS = {
+    [DIAGNOSTIC_SEVERITY.ERROR]: 'خطأ',
+    [DIAGNOSTIC_SEVERITY.WARNING]: 'تحذير',
+    [DIAGNOSTIC_SEVERITY.INFO]: 'ملاحظة'
+};
 
-              <div class="card-content">
+const SEVERITY_ORDER = [DIAGNOSTIC_SEVERITY.ERROR, DIAGNOSTIC_SEVERITY.WARNING, DIAGNOSTIC_SEVERITY.INFO];
 
-                <div class="mc-engineer">اجتماع ${escapeHTML(engineerLabel)}</div>
+function renderDiagnostics(diagnostics) {
+    lastDiagnostics = diagnostics;
 
-                <div class="mc-client">${escapeHTML(client)}</div>
+    const badge = document.getElementById('diagnostics-count');
+    const problems = diagnostics.filter(d => d.severity !== DIAGNOSTIC_SEVERITY.INFO).length;
+    if (badge) {
+        badge.textContent = problems;
+        badge.hidden = problems === 0;
+        badge.classList.toggle('has-errors', diagnostics.some(d => d.severity === DIAGNOSTIC_SEVERITY.ERROR));
+    }
 
-                ${projectDesc ? `<div class="mc-project-desc">${escapeHTML(projectDesc)}</div>` : ''}
+    const list = document.getElementById('diagnostics-list');
+    if (!list) return;
 
-                ${meetingType ? `<div class="mc-type-badge ${typeClass}">${escapeHTML(meetingType)}</div>` : ''}
+    if (!diagnostics.length) {
+        list.innerHTML = '<div class="diagnostics-empty">✅ لا توجد مشاكل في الشيت</div>';
+        return;
+    }
 
-                ${ticketNum ? `<div class="mc-ticket-pill">${ticketNum}</div>` : ''}
+    const sorted = [...diagnostics].sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        (a.tab || '').localeCompare(b.tab || '') ||
+        a.row - b.row
+    );
 
-                <div class="mc-time">
-                  <i data-lucide="clock"></i>
-                  <span class="en-nums">${formatTime12h(m.time)}</span>
+    list.innerHTML = sorted.map(d => {
+        const raw = ['date', 'time', 'project', 'team']
+            .map(k => d.values[k])
+            .filter(Boolean)
+            .join(' | ');
+        return `
+            <div class="diagnostic-item ${d.severity}">
+                <div class="diagnostic-head">
+                    <span class="diagnostic-severity">${SEVERITY_LABELS[d.severity] || d.severity}</span>
+                    <span class="diagnostic-loc en-nums">${escapeHTML(d.tab || '')} · صف ${d.row}</span>
+                    <span class="diagnostic-rule en-nums">${escapeHTML(d.rule)}</span>
                 </div>
+                <div class="diagnostic-message">${escapeHTML(d.message)}</div>
+                ${raw ? `<div class="diagnostic-raw">${escapeHTML(raw)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+window.toggleDiagnostics = () => {
+    const panel = document.getElementById('diagnostics-panel');
+    if (!panel) return;
+    panel.classList.toggle('open');
+    if (panel.classList.contains('open')) renderDiagnostics(lastDiagnostics);
+};
+
+/**
+ * Apply a fetchMeetings()/auto-sync result to the dashboard
+ */
+let lastRenderKey = null; // contentHash + day of the grid on screen
+
+function applySyncResult(result) {
+    activeMeetings = result.meetings; // Alerts keep firing from cached data too
+
+    // Same data on the same day → the grid on screen is already right
+    const renderKey = `${result.contentHash}|${formatTodayDate()}`;
+    if (renderKey !== lastRenderKey) {
+        lastRenderKey = renderKey;
+        renderUI(activeMeetings);
+    }
+    renderOfflineBanner(result.fromCache);
+    renderWarnings(result.warnings);
+    if (result.diagnostics) renderDiagnostics(result.diagnostics);
+
+    // Change feed: only live data, and not on the first sync (no baseline yet).
+    // The leader tab records changes; followers show the log it saved.
+    if (!isLeader()) {
+        renderChangeLog();
+    } else if (!result.fromCache) {
+        if (lastSyncedMeetings) announceChanges(diffMeetings(lastSyncedMeetings, result.meetings));
+        lastSyncedMeetings = result.meetings;
+    }
+}
+
+// ========================================
+// 👑 Cross-Tab Coordination
+// ========================================
+
+let lastSyncResult = null; // Leader: latest result, resent to tabs opened later
+const visibleFollowers = new Set(); // Leader: follower tabs currently on screen
+
+/**
+ * Leader: nobody is looking at any dashboard tab (polling may pause)
+ */
+function isDashboardHidden() {
+    return document.hidden && visibleFollowers.size === 0;
+}
+
+function reportVisibility() {
+    broadcast(TAB_MESSAGES.VISIBILITY, { visible: !document.hidden });
+}
+
+/**
+ * Leader: show a sync result here and push it to the other tabs
+ */
+function publishSyncResult(result) {
+    lastSyncResult = result;
+    applySyncResult(result);
+    broadcast(TAB_MESSAGES.SYNC, result);
+}
+
+/**
+ * Only the leader polls and plays alerts, so two open tabs don't double the
+ * Google requests or the voice alerts
+ */
+function handleTabRole(role) {
+    if (role === TAB_ROLES.LEADER) {
+        startNotificationLoop(
+            () => activeMeetings,
+            formatTodayDate,
+            () => {} // onTick
+        );
+        // Start Auto-Sync (adaptive schedule, see getPollSchedule in data.js)
+        visibleFollowers.clear();
+        startAutoSync(publishSyncResult, { isHidden: isDashboardHidden });
+        startWebhookDelivery();
+        broadcast(TAB_MESSAGES.LEADER_CHANGED);
+    } else {
+        stopAutoSync();
+        stopNotificationLoop();
+        stopWebhookDelivery();
+        broadcast(TAB_MESSAGES.STATE_REQUEST);
+        reportVisibility();
+    }
+}
+
+function handleTabMessage(type, payload, fromTabId) {
+    if (type === TAB_MESSAGES.SYNC && !isLeader()) {
+        applySyncResult(payload);
+        renderSyncIndicator();
+        if (document.getElementById('sync-health-panel')?.classList.contains('open')) renderSyncHealthPanel();
+    } else if (type === TAB_MESSAGES.STATE_REQUEST && isLeader() && lastSyncResult) {
+        broadcast(TAB_MESSAGES.SYNC, lastSyncResult);
+    } else if (type === TAB_MESSAGES.REFRESH_REQUEST && isLeader()) {
+        window.manualRefresh();
+    } else if (type === TAB_MESSAGES.VISIBILITY && isLeader()) {
+        if (payload?.visible) {
+            visibleFollowers.add(fromTabId);
+            wakeAutoSync();
+        } else {
+            visibleFollowers.delete(fromTabId);
+        }
+    } else if (type === TAB_MESSAGES.LEADER_CHANGED && !isLeader()) {
+        reportVisibility();
+    } else if (type === TAB_MESSAGES.ALERT_ACTION) {
+        renderUI(activeMeetings); // Acknowledgement badges on the cards
+    }
+}
+
+function handleVisibilityChange() {
+    if (!isLeader()) {
+        reportVisibility();
+    } else if (!document.hidden) {
+        wakeAutoSync();
+    }
+}
+
+// ========================================
+// 📡 Offline / Stale Data Banner
+// ========================================
+
+let showingCachedData = false;
+
+/**
+ * "offline — data from HH:MM" while the list comes from the local cache
+ */
+function renderOfflineBanner(fromCache = showingCachedData) {
+    showingCachedData = fromCache;
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+
+    const offline = navigator.onLine === false;
+    if (!fromCache && !offline) {
+        banner.hidden = true;
+        return;
+    }
+
+    const lastSync = getLastSyncTime();
+    let message;
+    if (!lastSync) {
+        message = 'بيانات تجريبية — لم تتم أي مزامنة بعد';
+    } else {
+        const synced = new Date(lastSync);
+        const hhmm = `${String(synced.getHours()).padStart(2, '0')}:${String(synced.getMinutes()).padStart(2, '0')}`;
+        const sameDay = synced.toDateString() === new Date().toDateString();
+        const when = `${sameDay ? '' : `${synced.toLocaleDateString('en-GB')} `}${formatTime12h(hhmm)}`;
+        message = offline
+            ? `غير متصل — البيانات من ${when}`
+            : `تعذّر التحديث — البيانات من ${when}`;
+    }
+
+    banner.innerHTML = `
+        <i data-lucide="${offline ? 'wifi-off' : 'cloud-off'}"></i>
+        <span class="en-nums">${escapeHTML(message)}</span>
+    `;
+    banner.hidden = false;
+    hydrateIcons(banner);
+}
+
+function registerServiceWorker() {
+    // Dev server serves unbuilt modules; only the production build is precached
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+
+    navigator.serviceWorker.register('/sw.js')
+        .then(reg => console.log('[SW] ✅ Registered:', reg.scope))
+        .catch(err => console.warn('[SW] Registration failed:', err));
+}
+
+// ========================================
+// 📶 Sync Health
+// ========================================
+
+const SYNC_LEVEL_LABELS = {
+    [SYNC_LEVELS.OK]: 'سليم',
+    [SYNC_LEVELS.WARNING]: 'يحتاج مراجعة',
+    [SYNC_LEVELS.ERROR]: 'فشل'
+};
 
-              </div>
+const formatClock = (iso) => {
+    const d = new Date(iso);
+    return formatTime12h(`${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`);
+};
+
+const POLL_REASON_LABELS = {
+    [POLL_REASONS.NORMAL]: 'عادي',
+    [POLL_REASONS.MEETING_SOON]: 'اجتماع قريب',
+    [POLL_REASONS.OFF_HOURS]: 'خارج ساعات العمل',
+    [POLL_REASONS.HIDDEN]: 'اللوحة مخفية — حتى التنبيه القادم',
+    [POLL_REASONS.BACKOFF]: 'تأخير بسبب 400'
+};
+
+function describeNextPoll(entry) {
+    if (!entry) return '—';
+    if (entry.pollReason === POLL_REASONS.PAUSED) return 'متوقف حتى تظهر اللوحة';
+    if (!entry.nextPollMs) return '—';
+    const reason = POLL_REASON_LABELS[entry.pollReason];
+    return `بعد ${formatSeconds(entry.nextPollMs)}${reason ? ` (${reason})` : ''}`;
+}
+
+const formatSeconds = (ms) => (ms >= 60000 ? `${Math.round(ms / 60000)} د` : `${Math.round(ms / 1000)} ث`);
+
+/**
+ * One-line explanation of a poll — what the office manager needs to know
+ */
+function describeSyncEntry(e) {
+    if (e.fromCache) return `تعذّر جلب البيانات: ${e.error || 'خطأ غير معروف'}`;
+    if (e.meetingCount === 0) return 'الشيت يعمل لكنه لا يحتوي أي اجتماع';
+    const parts = [`${e.meetingCount} اجتماع`];
+    if (e.rowErrors) parts.push(`${e.rowErrors} صف به خطأ`);
+    if (e.warnings.length) parts.push(e.warnings[0]);
+    return parts.join(' · ');
+}
+
+function renderSyncIndicator(log = getSyncLog()) {
+    const btn = document.getElementById('sync-health-btn');
+    const text = document.getElementById('sync-health-text');
+    if (!btn || !text) return;
+
+    const health = getSyncHealth(log);
+    btn.classList.remove(...Object.values(SYNC_LEVELS));
+    if (!health.last) return;
+
+    btn.classList.add(health.level);
+    text.textContent = health.level === SYNC_LEVELS.ERROR
+        ? `فشل التحديث${health.consecutiveFailures > 1 ? ` ×${health.consecutiveFailures}` : ''}`
+        : `${SYNC_LEVEL_LABELS[health.level]} · ${formatClock(health.last.at)}`;
+}
+
+function renderSyncHealthPanel(log = getSyncLog()) {
+    const summary = document.getElementById('sync-health-summary');
+    const list = document.getElementById('sync-health-list');
+    if (!summary || !list) return;
+
+    const health = getSyncHealth(log);
+    const last = health.last;
+    summary.innerHTML = `
+        <span>آخر نجاح: <strong class="en-nums">${health.lastSuccessAt ? formatClock(health.lastSuccessAt) : '—'}</strong></span>
+        <span>إخفاقات متتالية: <strong class="en-nums">${health.consecutiveFailures}</strong></span>
+        <span>المصدر: <strong>${escapeHTML(last?.source || '—')}</strong></span>
+        <span>التحديث القادم: <strong class="en-nums">${describeNextPoll(last)}</strong></span>
+    `;
+
+    if (!log.length) {
+        list.innerHTML = '<div class="diagnostics-empty">لم تتم أي مزامنة بعد</div>';
+        return;
+    }
 
-              ${done ? '<div class="completed-icon"><i data-lucide="check-circle-2"></i></div>' : ''}
+    list.innerHTML = log.map(e => {
+        const details = [
+            `${e.durationMs} ms`,
+            e.trigger === 'manual' ? 'يدوي' : 'تلقائي',
+            e.backoffMs ? `تأخير ${formatSeconds(e.backoffMs)} (400)` : '',
+            e.reversions?.verified ? `${e.reversions.verified} تراجع مؤكد` : '',
+            e.reversions?.suppressed ? `${e.reversions.suppressed} تراجع متجاهَل (CDN)` : '',
+            e.reversions?.flapLimited ? `${e.reversions.flapLimited} تجاوز حد التذبذب` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="diagnostic-item ${e.level}">
+                <div class="diagnostic-head">
+                    <span class="diagnostic-severity">${SYNC_LEVEL_LABELS[e.level] || e.level}</span>
+                    <span class="diagnostic-loc en-nums">${formatClock(e.at)}</span>
+                    <span class="diagnostic-rule en-nums">${escapeHTML(e.source)}</span>
+                </div>
+                <div class="diagnostic-message">${escapeHTML(describeSyncEntry(e))}</div>
+                <div class="diagnostic-raw en-nums">${escapeHTML(details)}</div>
             </div>
         `;
     }).join('');
+}
+
+window.toggleSyncHealth = () => {
+    const panel = document.getElementById('sync-health-panel');
+    if (!panel) return;
+    panel.classList.toggle('open');
+    if (panel.classList.contains('open')) renderSyncHealthPanel();
+};
 
-    if (window.lucide) window.lucide.createIcons();
+// ========================================
+// 📜 Change Feed
+// ========================================
 
+const CHANGE_PRESENTATION = {
+    [CHANGE_TYPES.ADDED]:            { label: 'اجتماع جديد',    icon: 'plus-circle',  level: 'info' },
+    [CHANGE_TYPES.REMOVED]:          { label: 'حُذف اجتماع',    icon: 'trash-2',      level: 'critical' },
+    [CHANGE_TYPES.TIME_CHANGED]:     { label: 'تغيّر الموعد',    icon: 'clock',        level: 'warning' },
+    [CHANGE_TYPES.ENGINEER_CHANGED]: { label: 'تغيّر المهندس',   icon: 'user',         level: 'warning' },
+    [CHANGE_TYPES.STATUS_CHANGED]:   { label: 'تغيّرت الحالة',   icon: 'check-circle', level: 'info' }
+};
 
-    updateDynamicState();
+// More changes than this in one sync are summarised in a single toast
+const MAX_CHANGE_TOASTS = 4;
+
+/**
+ * "YYYY/MM/DD HH:MM" → "4:00 م" (with the date when it is not today)
+ */
+function formatWhen(value) {
+    const [date, time] = (value || '').split(' ');
+    if (!date) return '—';
+    const timeText = time ? formatTime12h(time) : '';
+    return date === formatTodayDate() ? timeText : `${date} ${timeText}`.trim();
+}
+
+function describeChange(e) {
+    switch (e.type) {
+        case CHANGE_TYPES.ADDED:
+            return `${e.team || '—'} — ${formatWhen(e.to)}`;
+        case CHANGE_TYPES.REMOVED:
+            return `${e.team || '—'} — كان ${formatWhen(e.from)}`;
+        case CHANGE_TYPES.TIME_CHANGED:
+            return `${formatWhen(e.from)} ← ${formatWhen(e.to)}`;
+        case CHANGE_TYPES.ENGINEER_CHANGED:
+        case CHANGE_TYPES.STATUS_CHANGED:
+            return `${e.from || '—'} ← ${e.to || '—'}`;
+        default:
+            return '';
+    }
+}
+
+function announceChanges(events) {
+    if (!events.length) return;
+    console.log(`[Changes] ${events.length} change(s) since last sync`, events);
+
+    if (events.length > MAX_CHANGE_TOASTS) {
+        showToast({
+            title: 'تحديثات على الجدول',
+            message: `${events.length} تغييرات منذ آخر مزامنة — راجع سجل التغييرات`,
+            level: 'warning'
+        });
+    } else {
+        for (const e of events) {
+            const p = CHANGE_PRESENTATION[e.type];
+            showToast({ title: `${p.label}: ${e.project}`, message: describeChange(e), level: p.level });
+        }
+    }
+
+    notifyWebhooks(WEBHOOK_EVENTS.CHANGE, {
+        changes: events.map(e => ({ ...e, label: CHANGE_PRESENTATION[e.type].label, details: describeChange(e) }))
+    });
+    renderChangeLog(recordChanges(events));
+}
+
+function renderChangeLog(entries = getTodayChanges()) {
+    const list = document.getElementById('changes-log');
+    if (!list) return;
+
+    if (!entries.length) {
+        list.innerHTML = '<div class="changes-empty">لا تغييرات اليوم</div>';
+        return;
+    }
+
+    list.innerHTML = entries.map(e => {
+        const p = CHANGE_PRESENTATION[e.type] || { label: e.type, icon: 'bell', level: 'info' };
+        const at = new Date(e.at);
+        const atText = `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+        return `
+            <div class="change-item ${p.level}">
+                <i data-lucide="${p.icon}"></i>
+                <div class="change-body">
+                    <div class="change-title">${escapeHTML(p.label)} · ${escapeHTML(e.project)}</div>
+                    <div class="change-detail">${escapeHTML(describeChange(e))}</div>
+                </div>
+                <span class="change-at en-nums">${atText}</span>
+            </div>
+        `;
+    }).join('');
+    hydrateIcons(list);
 }
 
 // ========================================
@@ -319,7 +1041,9 @@ function updateDynamicState() {
     }
 
     const today = formatTodayDate();
-    const filtered = activeMeetings.filter(m => m.date === today && !isCancelled(m));
+    const sourceFilter = getSourceFilter();
+    const filtered = activeMeetings.filter(m => m.date === today && !isCancelled(m) && matchesSourceFilter(m, sourceFilter));
+    animateCount('stat-urgent', countRunningNow(filtered));
     
     const now = new Date();
     const nowMins = now.getHours() * 60 + now.getMinutes();
@@ -335,23 +1059,9 @@ function updateDynamicState() {
     const match = pending.find(x => x.mins >= nowMins - 120);
     let current = match ? match.m : null;
     
-    // Aurora Color Mapping
-    const engineerColorMap = {
-        'ashraf': '#00C853',
-        'ashraf_ar': 'أشرف',
-        'mojahed': '#2962FF',
-        'shady': '#C6242C',
-        'hossam': '#FF6D00'
-    };
-
-    let auroraColor = '#2962FF'; // Default Blue
-    if (current && current.team) {
-        const team = current.team.toLowerCase();
-        if (team.includes('أشرف') || team.includes('اشرف')) auroraColor = '#00C853';
-        else if (team.includes('مجاهد')) auroraColor = '#2962FF';
-        else if (team.includes('شادي')) auroraColor = '#C6242C';
-        else if (team.includes('حسام')) auroraColor = '#FF6D00';
-    }
+    // Aurora Color Mapping (from the engineer registry)
+    const currentEngineer = current ? findEngineer(current.team) : null;
+    const auroraColor = (currentEngineer && currentEngineer.color) || DEFAULT_ENGINEER_COLOR;
     document.documentElement.style.setProperty('--aurora-color', `${auroraColor}22`);
 
     // Overlapping meetings detection (diff < 5 mins)
@@ -370,6 +1080,11 @@ function updateDynamicState() {
 // ========================================
 
 window.manualRefresh = async () => {
+    // Another tab polls — ask it, and its result arrives as a sync message
+    if (!isLeader()) {
+        broadcast(TAB_MESSAGES.REFRESH_REQUEST);
+        return;
+    }
     if (window._isManualRefreshing) return;
     window._isManualRefreshing = true;
 
@@ -378,8 +1093,8 @@ window.manualRefresh = async () => {
 
     try {
         const result = await fetchMeetings();
-        activeMeetings = result.meetings;
-        renderUI(activeMeetings);
+        recordSyncAttempt(result, { trigger: 'manual' });
+        publishSyncResult(result);
     } finally {
         window._isManualRefreshing = false;
         if (btn) setTimeout(() => btn.style.opacity = '1', 1000);
@@ -393,7 +1108,7 @@ window.toggleTheme = () => {
     const icon = document.querySelector('#theme-toggle-btn i, #theme-toggle-btn svg');
     if (icon) {
         icon.setAttribute('data-lucide', isLight ? 'sun' : 'moon');
-        if (window.lucide) window.lucide.createIcons();
+        hydrateIcons(icon.parentElement);
     }
 };
 
@@ -405,7 +1120,7 @@ window.toggleSound = () => {
     const btn = document.getElementById('sound-toggle-btn');
     if (btn) {
         btn.innerHTML = `<i data-lucide="${soundEnabled ? 'volume-2' : 'volume-x'}"></i>`;
-        if (window.lucide) window.lucide.createIcons();
+        hydrateIcons(btn);
     }
 };
 
@@ -417,19 +1132,879 @@ window.toggleSettings = () => {
     const settings = getSettings();
     const input = document.getElementById('sheet-key-input');
     if (input) input.value = settings.sheetId || DEFAULT_KEY;
+    const labelInput = document.getElementById('sheet-label-input');
+    if (labelInput) labelInput.value = settings.sheetLabel || '';
+    const configInput = document.getElementById('config-gid-input');
+    if (configInput) configInput.value = settings.configGid || '';
+    const adjacentInput = document.getElementById('adjacent-months-input');
+    if (adjacentInput) adjacentInput.value = settings.adjacentMonths;
+    const windowInput = document.getElementById('adjacent-window-input');
+    if (windowInput) windowInput.value = settings.adjacentWindowDays;
+    const hoursStartInput = document.getElementById('working-hours-start');
+    if (hoursStartInput) hoursStartInput.value = settings.workingHoursStart;
+    const hoursEndInput = document.getElementById('working-hours-end');
+    if (hoursEndInput) hoursEndInput.value = settings.workingHoursEnd;
+    const dateFormatSelect = document.getElementById('date-format-select');
+    if (dateFormatSelect) dateFormatSelect.value = settings.dateFormat;
+    const jsonUrlInput = document.getElementById('json-url-input');
+    if (jsonUrlInput) jsonUrlInput.value = settings.jsonUrl || '';
+    const icsUrlInput = document.getElementById('ics-url-input');
+    if (icsUrlInput) icsUrlInput.value = settings.icsUrl || '';
+    renderSourceSelect(getActiveSource().id);
+    renderEngineersEditor(getEngineers());
+    renderAlertRulesEditor(getAlertRules());
+    renderSpeechSettings(settings);
+    refreshSoundLibrary();
+    renderTabMapEditor(getTabGids());
+    renderExtraSheetsEditor(settings.extraSheets || []);
+    renderColumnMapEditor(settings.columnMap || {});
+    renderWebhooksEditor(settings.webhooks || []);
+    renderWebhookOutbox(getOutbox());
+};
+
+// ========================================
+// 📅 Calendar Export (ICS)
+// ========================================
+
+function readExportOptions() {
+    const date = document.getElementById('export-date')?.value || '';
+    return {
+        range: document.getElementById('export-range')?.value || EXPORT_RANGES.DAY,
+        date: date ? date.replace(/-/g, '/') : formatTodayDate(),
+        engineerId: document.getElementById('export-engineer')?.value || ''
+    };
+}
+
+window.toggleExport = () => {
+    const modal = document.getElementById('export-modal');
+    if (!modal) return;
+
+    modal.style.display = (modal.style.display === 'flex') ? 'none' : 'flex';
+    if (modal.style.display !== 'flex') return;
+
+    const dateInput = document.getElementById('export-date');
+    if (dateInput && !dateInput.value) dateInput.value = formatTodayDate().replace(/\//g, '-');
+
+    const engineerSelect = document.getElementById('export-engineer');
+    if (engineerSelect) {
+        const selected = engineerSelect.value;
+        engineerSelect.innerHTML = '<option value="">جميع المهندسين</option>' + getEngineers().map(e => `
+            <option value="${escapeHTML(e.id)}" ${e.id === selected ? 'selected' : ''}>${escapeHTML(e.shortName || e.id)}</option>
+        `).join('');
+    }
+    window.updateExportSummary();
+};
+
+window.updateExportSummary = () => {
+    const summary = document.getElementById('export-summary');
+    if (!summary) return;
+    const count = selectMeetingsForExport(activeMeetings, readExportOptions()).length;
+    summary.textContent = count ? `سيتم تصدير ${formatMeetingCount(count)}` : 'لا توجد اجتماعات في هذه الفترة';
+};
+
+window.downloadICS = () => {
+    const options = readExportOptions();
+    const meetings = selectMeetingsForExport(activeMeetings, options);
+    if (meetings.length === 0) {
+        showToast({ title: 'لا يوجد ما يُصدَّر', message: 'لا توجد اجتماعات في الفترة المختارة', level: 'warning' });
+        return;
+    }
+
+    const engineer = getEngineers().find(e => e.id === options.engineerId);
+    const calendarName = `اجتماعات AAIT${engineer ? ` — ${engineer.shortName || engineer.id}` : ''}`;
+    const blob = new Blob([buildICS(meetings, calendarName)], { type: 'text/calendar;charset=utf-8' });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `aait-meetings-${options.date.replace(/\//g, '-')}-${options.range}${engineer ? `-${engineer.id}` : ''}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+// ========================================
+// 🗄️ Meeting History
+// ========================================
+
+window.toggleHistory = () => {
+    const modal = document.getElementById('history-modal');
+    if (!modal) return;
+
+    modal.style.display = (modal.style.display === 'flex') ? 'none' : 'flex';
+    if (modal.style.display !== 'flex') return;
+
+    const engineerSelect = document.getElementById('history-engineer');
+    if (engineerSelect) {
+        const selected = engineerSelect.value;
+        engineerSelect.innerHTML = '<option value="">جميع المهندسين</option>' + getEngineers().map(e => `
+            <option value="${escapeHTML(e.id)}" ${e.id === selected ? 'selected' : ''}>${escapeHTML(e.shortName || e.id)}</option>
+        `).join('');
+    }
+    window.searchHistory();
+};
+
+window.searchHistory = async () => {
+    const results = document.getElementById('history-results');
+    if (!results) return;
+
+    const dateValue = (id) => (document.getElementById(id)?.value || '').replace(/-/g, '/');
+    const from = dateValue('history-from');
+    const to = dateValue('history-to');
+    if (from && to && from > to) {
+        results.innerHTML = '<div class="history-empty">تاريخ «من» بعد تاريخ «إلى» — صحّح الفترة</div>';
+        return;
+    }
+
+    try {
+        const records = await queryHistory({
+            from,
+            to,
+            engineerId: document.getElementById('history-engineer')?.value || '',
+            ticket: document.getElementById('history-ticket')?.value || ''
+        });
+
+        if (records.length === 0) {
+            results.innerHTML = '<div class="history-empty">لا توجد نتائج</div>';
+            return;
+        }
+
+        // Newest first; cap the list so a wide search stays responsive
+        results.innerHTML = records.reverse().slice(0, 300).map(r => `
+            <div class="history-row" data-id="${escapeHTML(r.id)}" onclick="window.toggleHistoryVersions(this)">
+                <span class="en-nums">${escapeHTML(r.date)}</span>
+                <span class="en-nums">${escapeHTML(formatTime12h(r.time))}</span>
+                <span>${escapeHTML(r.project)}${r.status ? ` · ${escapeHTML(r.status)}` : ''}</span>
+                <span class="history-team">${escapeHTML(getEngineerShortName(r.team))}${r.versionCount > 1 ? ` · ${r.versionCount} نسخ` : ''}</span>
+            </div>
+        `).join('');
+    } catch (e) {
+        results.innerHTML = `<div class="history-empty">تعذّر قراءة السجل: ${escapeHTML(e.message)}</div>`;
+    }
+};
+
+window.toggleHistoryVersions = async (row) => {
+    const next = row.nextElementSibling;
+    if (next && next.classList.contains('history-versions')) {
+        next.remove();
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'history-versions';
+    try {
+        const versions = await getMeetingVersions(row.dataset.id);
+        list.innerHTML = versions.map(v => `
+            <li><span class="en-nums">${escapeHTML(new Date(v.syncedAt).toLocaleString('en-GB'))}</span> — 
+                ${escapeHTML(v.meeting.date)} ${escapeHTML(formatTime12h(v.meeting.time))} · ${escapeHTML(v.meeting.team || '—')} · ${escapeHTML(v.meeting.status || 'بدون حالة')}</li>
+        `).join('');
+    } catch (e) {
+        list.innerHTML = `<li class="history-empty">تعذّر قراءة السجل: ${escapeHTML(e.message)}</li>`;
+    }
+    row.after(list);
+};
+
+// ========================================
+// 🔌 Data Source
+// ========================================
+
+function renderSourceSelect(activeId) {
+    const select = document.getElementById('data-source-select');
+    if (!select) return;
+
+    select.innerHTML = SOURCE_ADAPTERS.map(a => `
+        <option value="${a.id}" ${a.id === activeId ? 'selected' : ''}>${escapeHTML(a.label)}</option>
+    `).join('');
+    window.showSourcePanel(activeId);
+    renderLocalFileInfo();
+}
+
+function renderLocalFileInfo() {
+    const info = document.getElementById('source-file-info');
+    if (!info) return;
+
+    const file = getLocalFileInfo();
+    info.textContent = file
+        ? `📄 ${file.name} — ${file.rowCount} صف (رُفع ${new Date(file.importedAt).toLocaleString('en-GB')})`
+        : 'لم يتم رفع ملف بعد';
+}
+
+window.showSourcePanel = (sourceId) => {
+    document.querySelectorAll('.source-panel').forEach(panel => {
+        panel.classList.toggle('active', panel.dataset.source === sourceId);
+    });
+};
+
+window.importSourceFile = async (input) => {
+    const file = input?.files?.[0];
+    if (!file) return;
+
+    try {
+        const { name, meetingCount } = await importLocalFile(file);
+        renderLocalFileInfo();
+        showToast({ title: 'تم رفع الملف', message: `${name}: ${meetingCount} اجتماع`, level: 'info' });
+    } catch (e) {
+        showToast({ title: 'فشل قراءة الملف', message: e.message, level: 'critical' });
+    } finally {
+        input.value = '';
+    }
+};
+
+// ========================================
+// 🧭 Column Map Editor
+// ========================================
+
+function renderColumnMapEditor(columnMap) {
+    const container = document.getElementById('column-map-editor');
+    if (!container) return;
+
+    container.innerHTML = COLUMN_FIELDS.map(f => `
+        <label class="column-map-field">
+            <span>${escapeHTML(f.label)}${f.required ? ' *' : ''}</span>
+            <input type="text" data-field="${f.key}" placeholder="تلقائي" value="${escapeHTML(columnMap[f.key] || '')}">
+        </label>
+    `).join('');
+}
+
+function readColumnMapEditor() {
+    const map = {};
+    document.querySelectorAll('#column-map-editor input[data-field]').forEach(input => {
+        const val = input.value.trim();
+        if (val) map[input.dataset.field] = val;
+    });
+    return map;
+}
+
+// ========================================
+// 🗓️ Monthly Tab Map Editor
+// ========================================
+
+/**
+ * Tab map editor of a sheet: the main one, or the one inside an extra sheet's card
+ */
+function getTabMapContainer(sheetId = MAIN_SHEET_ID) {
+    return sheetId === MAIN_SHEET_ID
+        ? document.getElementById('tab-map-editor')
+        : document.querySelector(`#extra-sheets-editor .extra-sheet[data-id="${sheetId}"] .tab-map-editor`);
+}
+
+function renderTabMapEditor(tabGids, container = getTabMapContainer()) {
+    if (!container) return;
+
+    const currentKey = getMonthKey();
+    const entries = Object.entries(tabGids).sort(([a], [b]) => b.localeCompare(a));
+    if (!entries.some(([k]) => k === currentKey)) entries.unshift([currentKey, '']);
+
+    container.innerHTML = entries.map(([month, gid]) => `
+        <div class="tab-map-row ${month === currentKey ? 'current' : ''}">
+            <input type="month" class="tab-month" value="${escapeHTML(month)}">
+            <input type="text" class="tab-gid" inputmode="numeric" placeholder="GID" value="${escapeHTML(gid || '')}">
+            <button type="button" class="btn-icon-sm" title="حذف" onclick="this.closest('.tab-map-row').remove()">✕</button>
+        </div>
+    `).join('');
+}
+
+function readTabMapEditor(container = getTabMapContainer()) {
+    const map = {};
+    if (!container) return map;
+    container.querySelectorAll('.tab-map-row').forEach(row => {
+        const month = (row.querySelector('.tab-month')?.value || '').trim();
+        const gid = (row.querySelector('.tab-gid')?.value || '').trim();
+        if (/^\d{4}-\d{2}$/.test(month) && /^\d+$/.test(gid)) map[month] = gid;
+    });
+    return map;
+}
+
+/**
+ * Rows readTabMapEditor would drop although something was typed: a GID that is not a
+ * number, or a GID without a month. Blank rows (and a month still waiting for its GID)
+ * are fine.
+ * @returns {HTMLElement[]}
+ */
+function findInvalidTabMapRows() {
+    const rows = document.querySelectorAll('#settings-modal .tab-map-row');
+    return [...rows].filter(row => {
+        const month = (row.querySelector('.tab-month')?.value || '').trim();
+        const gid = (row.querySelector('.tab-gid')?.value || '').trim();
+        if (!gid) return false;
+        return !/^\d+$/.test(gid) || !/^\d{4}-\d{2}$/.test(month);
+    });
+}
+
+window.addTabMapRow = (sheetId = MAIN_SHEET_ID) => {
+    const container = getTabMapContainer(sheetId);
+    renderTabMapEditor({ ...readTabMapEditor(container), '': '' }, container);
+};
+
+window.importTabMap = async (sheetId = MAIN_SHEET_ID) => {
+    // Import from what the editor shows now; nothing is saved until "حفظ وتحديث"
+    const sheet = sheetId === MAIN_SHEET_ID
+        ? {
+            id: MAIN_SHEET_ID,
+            label: (document.getElementById('sheet-label-input')?.value || '').trim() || 'الشيت الرئيسي',
+            sheetId: (document.getElementById('sheet-key-input')?.value || '').trim(),
+            configGid: (document.getElementById('config-gid-input')?.value || '').trim()
+        }
+        : readExtraSheetsEditor().find(s => s.id === sheetId);
+    if (!sheet) return;
+
+    try {
+        const imported = await fetchTabMapFromConfig(sheet);
+        const container = getTabMapContainer(sheetId);
+        renderTabMapEditor({ ...readTabMapEditor(container), ...imported }, container);
+        showToast({ title: 'تم الاستيراد', message: `تم استيراد ${Object.keys(imported).length} تبويب من الإعداد — اضغط حفظ لاعتمادها`, level: 'info' });
+    } catch (e) {
+        showToast({ title: 'فشل الاستيراد', message: e.message, level: 'critical' });
+    }
+};
+
+// ========================================
+// 📚 Extra Sheets Editor
+// ========================================
+
+function renderExtraSheetsEditor(sheets) {
+    const container = document.getElementById('extra-sheets-editor');
+    if (!container) return;
+
+    container.innerHTML = sheets.map(s => `
+        <div class="extra-sheet" data-id="${escapeHTML(s.id)}">
+            <div class="settings-inline">
+                <input type="text" class="sheet-label" placeholder="اسم الشيت (مثل: مبيعات الشركات)" value="${escapeHTML(s.label || '')}">
+                <button type="button" class="btn-icon-sm" title="حذف" onclick="this.closest('.extra-sheet').remove()">✕</button>
+            </div>
+            <input type="text" class="sheet-key" placeholder="2PACX-..." value="${escapeHTML(s.sheetId || '')}">
+            <div class="tab-map-editor"></div>
+            <div class="settings-inline">
+                <input type="text" class="sheet-config-gid" inputmode="numeric" placeholder="GID تبويب الإعداد (month,gid)" value="${escapeHTML(s.configGid || '')}">
+                <button type="button" class="btn-cancel btn-sm" onclick="window.importTabMap(this.closest('.extra-sheet').dataset.id)">استيراد</button>
+                <button type="button" class="btn-cancel btn-sm" onclick="window.addTabMapRow(this.closest('.extra-sheet').dataset.id)">+ شهر</button>
+            </div>
+        </div>
+    `).join('');
+
+    sheets.forEach(s => renderTabMapEditor(s.tabGids || {}, getTabMapContainer(s.id)));
+}
+
+function readExtraSheetsEditor() {
+    const cards = document.querySelectorAll('#extra-sheets-editor .extra-sheet');
+    return [...cards].map(card => {
+        const val = (cls) => (card.querySelector(`.${cls}`)?.value || '').trim();
+        return {
+            id: card.dataset.id,
+            label: val('sheet-label'),
+            sheetId: val('sheet-key'),
+            configGid: val('sheet-config-gid'),
+            tabGids: readTabMapEditor(card.querySelector('.tab-map-editor'))
+        };
+    });
+}
+
+window.addExtraSheet = () => {
+    const id = `sheet-${Date.now().toString(36)}`;
+    renderExtraSheetsEditor([...readExtraSheetsEditor(), { id, label: '', sheetId: '', configGid: '', tabGids: {} }]);
+};
+
+// ========================================
+// 👷 Engineer Registry Editor
+// ========================================
+
+function renderEngineersEditor(engineers) {
+    const container = document.getElementById('engineers-editor');
+    if (!container) return;
+
+    container.innerHTML = engineers.map((e, i) => `
+        <div class="engineer-row" data-index="${i}" data-id="${escapeHTML(e.id || '')}">
+            <span class="engineer-swatch" style="background: ${escapeHTML(e.gradient || DEFAULT_ENGINEER_GRADIENT)}"></span>
+            <input type="text" class="eng-aliases" placeholder="الأسماء (مجاهد, mojahed)" value="${escapeHTML((e.aliases || []).join(', '))}">
+            <input type="text" class="eng-short" placeholder="م.الاسم" value="${escapeHTML(e.shortName || '')}">
+            <input type="color" class="eng-color" title="اللون" value="${escapeHTML(e.color || DEFAULT_ENGINEER_COLOR)}">
+            <input type="text" class="eng-gradient" placeholder="linear-gradient(...)" value="${escapeHTML(e.gradient || '')}">
+            <input type="text" class="eng-theme" placeholder="theme-..." value="${escapeHTML(e.theme || '')}">
+            <input type="text" class="eng-prefix" placeholder="صوت" maxlength="8" value="${escapeHTML(e.soundPrefix || '')}">
+            <input type="text" class="eng-mention" placeholder="@منشن" title="المنشن في رسائل الـ Webhook" value="${escapeHTML(e.mention || '')}">
+            ${SOUND_CLIPS.map(clip => `
+                <select class="eng-sound" data-clip="${clip}" title="صوت تنبيه ${clip} دقيقة">
+                    ${renderSoundOptions(e.soundIds?.[clip], `${clip}د: الملف المدمج`)}
+                </select>
+            `).join('')}
+            <button type="button" class="btn-icon-sm" title="حذف" onclick="window.removeEngineerRow(${i})">✕</button>
+        </div>
+    `).join('');
+}
+
+function readEngineersEditor() {
+    const rows = document.querySelectorAll('#engineers-editor .engineer-row');
+    return [...rows].map((row, i) => {
+        const val = (cls) => (row.querySelector(`.${cls}`)?.value || '').trim();
+        const aliases = val('eng-aliases').split(/[,،]/).map(a => a.trim()).filter(Boolean);
+        const color = val('eng-color') || DEFAULT_ENGINEER_COLOR;
+        const soundIds = Object.fromEntries([...row.querySelectorAll('.eng-sound')]
+            .filter(sel => sel.value)
+            .map(sel => [sel.dataset.clip, sel.value]));
+        return {
+            id: row.dataset.id || (aliases[0] ? aliases[0].toLowerCase() : `eng-${i}`),
+            aliases,
+            shortName: val('eng-short') || (aliases[0] ? `م.${aliases[0]}` : ''),
+            color,
+            gradient: val('eng-gradient') || `linear-gradient(135deg, ${color}, ${color}cc)`,
+            theme: val('eng-theme'),
+            soundPrefix: val('eng-prefix'),
+            mention: val('eng-mention'),
+            soundIds
+        };
+    });
+}
+
+window.addEngineerRow = () => {
+    renderEngineersEditor([...readEngineersEditor(), { id: '', aliases: [], color: DEFAULT_ENGINEER_COLOR }]);
+};
+
+window.removeEngineerRow = (index) => {
+    renderEngineersEditor(readEngineersEditor().filter((_, i) => i !== index));
+};
+
+window.resetEngineers = () => {
+    renderEngineersEditor(DEFAULT_ENGINEERS);
+};
+
+// ========================================
+// ⏰ Alert Rules Editor
+// ========================================
+
+const ALERT_LEVEL_LABELS = {
+    info: 'عادي',
+    warning: 'تحذير',
+    critical: 'حرج'
+};
+
+const MEETING_TYPE_LABELS = {
+    [MEETING_TYPES.ONLINE]: 'أونلاين',
+    [MEETING_TYPES.OFFICE]: 'حضوري',
+    [MEETING_TYPES.EXTERNAL]: 'خارجي'
+};
+
+function renderAlertRulesEditor(rules) {
+    const container = document.getElementById('alert-rules-editor');
+    if (!container) return;
+
+    // Engineers currently in the editor above, so new rows can target them before saving
+    const engineers = document.querySelector('#engineers-editor .engineer-row')
+        ? readEngineersEditor()
+        : getEngineers();
+    const checkbox = (cls, value, checked, label) => `
+        <label class="rule-check"><input type="checkbox" class="${cls}" value="${escapeHTML(value)}"${checked ? ' checked' : ''}> ${escapeHTML(label)}</label>`;
+
+    container.innerHTML = rules.map((r, i) => `
+        <div class="alert-rule-row" data-index="${i}" data-id="${escapeHTML(r.id || '')}">
+            <div class="alert-rule-line">
+                <input type="text" class="rule-label" placeholder="اسم القاعدة" value="${escapeHTML(r.label || '')}">
+                <input type="number" class="rule-lead" min="1" max="1440" title="دقائق قبل الموعد" value="${escapeHTML(String(r.leadMinutes ?? ''))}">
+                <span class="rule-unit">دقيقة</span>
+                <select class="rule-level" title="مستوى التنبيه">
+                    ${ALERT_LEVELS.map(l => `<option value="${l}"${r.level === l ? ' selected' : ''}>${ALERT_LEVEL_LABELS[l]}</option>`).join('')}
+                </select>
+                <button type="button" class="btn-icon-sm" title="حذف" onclick="window.removeAlertRuleRow(${i})">✕</button>
+            </div>
+            <div class="alert-rule-line">
+                ${checkbox('rule-sound', 'sound', r.sound, 'صوت')}
+                <select class="rule-clip" title="التسجيل الصوتي">
+                    ${SOUND_CLIPS.map(c => `<option value="${c}"${Number(r.soundClip) === c ? ' selected' : ''}>تسجيل ${c} د</option>`).join('')}
+                </select>
+                <select class="rule-sound-id" title="صوت من المكتبة">
+                    ${renderSoundOptions(r.soundId, 'صوت المهندس')}
+                </select>
+                ${checkbox('rule-notify', 'notify', r.notify, 'إشعار النظام')}
+                ${checkbox('rule-repeat', 'repeat', r.repeatUntilAck, 'تكرار حتى التأكيد')}
+            </div>
+            <div class="alert-rule-line">
+                <span class="rule-unit">المهندسون:</span>
+                ${engineers.map(e => checkbox('rule-engineer', e.id, (r.engineerIds || []).includes(e.id), e.shortName || e.id)).join('')}
+            </div>
+            <div class="alert-rule-line">
+                <span class="rule-unit">النوع:</span>
+                ${Object.values(MEETING_TYPES).map(t => checkbox('rule-type', t, (r.meetingTypes || []).includes(t), MEETING_TYPE_LABELS[t])).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function readAlertRulesEditor() {
+    const rows = document.querySelectorAll('#alert-rules-editor .alert-rule-row');
+    return [...rows].map((row, i) => {
+        const checked = (cls) => [...row.querySelectorAll(`.${cls}:checked`)].map(el => el.value);
+        const leadMinutes = parseInt(row.querySelector('.rule-lead')?.value, 10);
+        return {
+            id: row.dataset.id || `rule-${Date.now().toString(36)}-${i}`,
+            label: (row.querySelector('.rule-label')?.value || '').trim() || `قبل ${leadMinutes} دقيقة`,
+            leadMinutes,
+            level: row.querySelector('.rule-level')?.value || 'info',
+            sound: checked('rule-sound').length > 0,
+            soundClip: Number(row.querySelector('.rule-clip')?.value) || nearestSoundClip(leadMinutes || 0),
+            soundId: row.querySelector('.rule-sound-id')?.value || '',
+            notify: checked('rule-notify').length > 0,
+            repeatUntilAck: checked('rule-repeat').length > 0,
+            engineerIds: checked('rule-engineer'),
+            meetingTypes: checked('rule-type')
+        };
+    });
+}
+
+window.addAlertRuleRow = () => {
+    renderAlertRulesEditor([...readAlertRulesEditor(), {
+        id: '',
+        label: '',
+        leadMinutes: 15,
+        level: 'info',
+        sound: true,
+        soundClip: nearestSoundClip(15),
+        notify: true,
+        repeatUntilAck: false,
+        engineerIds: [],
+        meetingTypes: []
+    }]);
+};
+
+window.removeAlertRuleRow = (index) => {
+    renderAlertRulesEditor(readAlertRulesEditor().filter((_, i) => i !== index));
+};
+
+window.resetAlertRules = () => {
+    renderAlertRulesEditor(DEFAULT_ALERT_RULES);
+};
+
+// ========================================
+// 🎵 Sound Library
+// ========================================
+
+let soundLibrary = []; // Last listSounds() result, for the pickers in the editors above
+
+/**
+ * <option>s for a library-sound picker; '' means the fallback described by defaultLabel
+ */
+function renderSoundOptions(selected, defaultLabel) {
+    const missing = selected && !soundLibrary.some(s => s.id === selected);
+    return `<option value="">${escapeHTML(defaultLabel)}</option>` + soundLibrary.map(s => `
+        <option value="${escapeHTML(s.id)}"${s.id === selected ? ' selected' : ''}>🎵 ${escapeHTML(s.name)}</option>
+    `).join('') + (missing ? `<option value="${escapeHTML(selected)}" selected>⚠️ صوت محذوف</option>` : '');
+}
+
+function renderSoundLibrary() {
+    const container = document.getElementById('sound-library');
+    if (!container) return;
+
+    if (!soundLibrary.length) {
+        container.innerHTML = '<p class="settings-hint">لا توجد أصوات مرفوعة بعد</p>';
+        return;
+    }
+
+    container.innerHTML = soundLibrary.map(s => `
+        <div class="sound-row" data-id="${escapeHTML(s.id)}">
+            <button type="button" class="btn-icon-sm" title="استماع" onclick="window.previewLibrarySound(this.closest('.sound-row').dataset.id)">▶</button>
+            <input type="text" class="sound-name" value="${escapeHTML(s.name)}" onchange="window.updateLibrarySound(this.closest('.sound-row').dataset.id, { name: this.value })">
+            <label class="sound-setting">تكرار
+                <input type="number" min="1" max="10" value="${s.plays}" onchange="window.updateLibrarySound(this.closest('.sound-row').dataset.id, { plays: this.value })">
+            </label>
+            <label class="sound-setting">فاصل (ث)
+                <input type="number" min="0" max="60" value="${s.gapSeconds}" onchange="window.updateLibrarySound(this.closest('.sound-row').dataset.id, { gapSeconds: this.value })">
+            </label>
+            <span class="sound-size en-nums">${Math.max(1, Math.round(s.size / 1024))} KB</span>
+            <button type="button" class="btn-icon-sm" title="حذف" onclick="window.deleteLibrarySound(this.closest('.sound-row').dataset.id)">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Reload the library and refresh every sound picker, keeping unsaved edits in the editors
+ */
+async function refreshSoundLibrary() {
+    try {
+        soundLibrary = await listSounds();
+    } catch (e) {
+        console.warn('[Sounds] Library unavailable:', e);
+        soundLibrary = [];
+    }
+    renderSoundLibrary();
+    renderEngineersEditor(readEngineersEditor());
+    renderAlertRulesEditor(readAlertRulesEditor());
+}
+
+window.uploadSounds = async (input) => {
+    const files = [...(input?.files || [])];
+    if (!files.length) return;
+
+    for (const file of files) {
+        try {
+            await addSound(file);
+        } catch (e) {
+            showToast({ title: 'تعذر رفع الصوت', message: e.message, level: 'critical' });
+        }
+    }
+    input.value = '';
+    await refreshSoundLibrary();
+};
+
+window.updateLibrarySound = async (id, patch) => {
+    try {
+        await updateSound(id, patch);
+    } catch (e) {
+        showToast({ title: 'تعذر حفظ الصوت', message: e.message, level: 'critical' });
+    }
+    await refreshSoundLibrary();
+};
+
+window.deleteLibrarySound = async (id) => {
+    const sound = soundLibrary.find(s => s.id === id);
+    if (!sound || !confirm(`حذف الصوت «${sound.name}»؟`)) return;
+    try {
+        await deleteSound(id);
+    } catch (e) {
+        showToast({ title: 'تعذر حذف الصوت', message: e.message, level: 'critical' });
+    }
+    await refreshSoundLibrary();
+};
+
+let previewAudio = null;
+
+window.previewLibrarySound = async (id) => {
+    const sound = await getSoundPlayback(id);
+    if (!sound) return;
+    if (previewAudio) previewAudio.pause();
+    previewAudio = new Audio(sound.url);
+    previewAudio.play().catch(e => console.warn('[Sounds] Preview failed:', e));
+};
+
+// ========================================
+// 📋 Audio Queue (sidebar)
+// ========================================
+
+/**
+ * Announcement playing now and the ones waiting, in play order
+ * @param {AudioQueueItem[]} items
+ */
+function renderAudioQueue(items) {
+    const list = document.getElementById('audio-queue');
+    if (!list) return;
+
+    list.hidden = items.length === 0;
+    list.innerHTML = items.map(item => `
+        <div class="audio-queue-item ${item.playing ? 'playing' : ''}" title="${item.playing ? 'يُشغَّل الآن' : 'في الانتظار'}">
+            <span>${item.playing ? '🔊' : '⏳'}</span>
+            <span class="audio-queue-label">${escapeHTML(item.label)}</span>
+            ${item.startsAt ? `<span class="en-nums">${formatTime12h(new Date(item.startsAt).toTimeString().slice(0, 5))}</span>` : ''}
+        </div>
+    `).join('');
+}
+
+// ========================================
+// 🗣️ Spoken Alert Settings
+// ========================================
+
+/**
+ * Voice list (Arabic voices first) — re-run on 'voiceschanged', voices load late
+ */
+function renderSpeechVoiceSelect(selected = getSettings().speechVoice) {
+    const select = document.getElementById('speech-voice-select');
+    if (!select) return;
+
+    const voices = [...getSpeechVoices()].sort((a, b) => Number(/^ar/i.test(b.lang)) - Number(/^ar/i.test(a.lang)));
+    select.innerHTML = '<option value="">تلقائي (أول صوت عربي)</option>' + voices.map(v => `
+        <option value="${escapeHTML(v.voiceURI)}"${v.voiceURI === selected ? ' selected' : ''}>${escapeHTML(v.name)} (${escapeHTML(v.lang)})</option>
+    `).join('');
+}
+
+function renderSpeechSettings(settings) {
+    renderSpeechVoiceSelect(settings.speechVoice);
+    const rateInput = document.getElementById('speech-rate-input');
+    if (rateInput) rateInput.value = settings.speechRate;
+    const volumeInput = document.getElementById('speech-volume-input');
+    if (volumeInput) volumeInput.value = settings.speechVolume;
+}
+
+function readSpeechSettings() {
+    const current = getSettings();
+    const readFloat = (id, fallback) => {
+        const n = parseFloat(document.getElementById(id)?.value);
+        return isNaN(n) ? fallback : n;
+    };
+    return {
+        speechVoice: document.getElementById('speech-voice-select')?.value || '',
+        speechRate: readFloat('speech-rate-input', current.speechRate),
+        speechVolume: readFloat('speech-volume-input', current.speechVolume)
+    };
+}
+
+window.previewSpeech = () => {
+    const { speechVoice, speechRate, speechVolume } = readSpeechSettings();
+    const sample = buildSpeechText({ team: 'الإدارة', project: 'عميل تجريبي' }, 5);
+    const started = previewSpeech(sample, { voiceURI: speechVoice, rate: speechRate, volume: speechVolume });
+    if (!started) {
+        showToast({ title: 'تعذرت التجربة', message: 'المتصفح لا يدعم النطق أو يوجد تنبيه قيد التشغيل', level: 'warning' });
+    }
+};
+
+// ========================================
+// 🔗 Chat Webhooks
+// ========================================
+
+const WEBHOOK_FORMAT_LABELS = {
+    [WEBHOOK_FORMATS.SLACK]: 'Slack / متوافق',
+    [WEBHOOK_FORMATS.GENERIC]: 'JSON عام'
+};
+
+const WEBHOOK_EVENT_LABELS = {
+    [WEBHOOK_EVENTS.ALERT]: 'تنبيهات الاجتماعات',
+    [WEBHOOK_EVENTS.CHANGE]: 'تغييرات الجدول'
+};
+
+function renderWebhooksEditor(hooks) {
+    const container = document.getElementById('webhooks-editor');
+    if (!container) return;
+
+    const checkbox = (cls, value, checked, label) => `
+        <label class="rule-check"><input type="checkbox" class="${cls}" value="${escapeHTML(value)}"${checked ? ' checked' : ''}> ${escapeHTML(label)}</label>`;
+
+    container.innerHTML = hooks.map(h => `
+        <div class="extra-sheet webhook-card" data-id="${escapeHTML(h.id)}">
+            <div class="settings-inline">
+                <input type="text" class="hook-label" placeholder="اسم القناة (مثل: #sales-alerts)" value="${escapeHTML(h.label || '')}">
+                ${checkbox('hook-enabled', 'enabled', h.enabled !== false, 'مفعّل')}
+                <button type="button" class="btn-icon-sm" title="حذف" onclick="this.closest('.webhook-card').remove()">✕</button>
+            </div>
+            <input type="url" class="hook-url" placeholder="https://hooks.slack.com/services/..." value="${escapeHTML(h.url || '')}">
+            <div class="settings-inline">
+                <select class="hook-format" title="صيغة الرسالة">
+                    ${Object.values(WEBHOOK_FORMATS).map(f => `<option value="${f}"${h.format === f ? ' selected' : ''}>${WEBHOOK_FORMAT_LABELS[f]}</option>`).join('')}
+                </select>
+                ${Object.values(WEBHOOK_EVENTS).map(ev => checkbox('hook-event', ev, (h.events || []).includes(ev), WEBHOOK_EVENT_LABELS[ev])).join('')}
+                <button type="button" class="btn-cancel btn-sm" onclick="window.testWebhook(this.closest('.webhook-card').dataset.id)">تجربة</button>
+            </div>
+            ${Object.values(WEBHOOK_EVENTS).map(ev => `
+                <input type="text" class="hook-template" data-event="${ev}" title="قالب ${WEBHOOK_EVENT_LABELS[ev]}"
+                    placeholder="${escapeHTML(DEFAULT_WEBHOOK_TEMPLATES[ev])}" value="${escapeHTML(h.templates?.[ev] || '')}">
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function readWebhooksEditor() {
+    const cards = document.querySelectorAll('#webhooks-editor .webhook-card');
+    return [...cards].map(card => {
+        const val = (cls) => (card.querySelector(`.${cls}`)?.value || '').trim();
+        return {
+            id: card.dataset.id,
+            label: val('hook-label'),
+            url: val('hook-url'),
+            format: val('hook-format') || WEBHOOK_FORMATS.SLACK,
+            events: [...card.querySelectorAll('.hook-event:checked')].map(c => c.value),
+            templates: Object.fromEntries([...card.querySelectorAll('.hook-template')]
+                .filter(input => input.value.trim())
+                .map(input => [input.dataset.event, input.value.trim()])),
+            enabled: card.querySelector('.hook-enabled')?.checked ?? true
+        };
+    });
+}
+
+window.addWebhook = () => {
+    const id = `hook-${Date.now().toString(36)}`;
+    renderWebhooksEditor([...readWebhooksEditor(), {
+        id,
+        label: '',
+        url: '',
+        format: WEBHOOK_FORMATS.SLACK,
+        events: Object.values(WEBHOOK_EVENTS),
+        templates: {},
+        enabled: true
+    }]);
+};
+
+window.testWebhook = async (id) => {
+    const hook = readWebhooksEditor().find(h => h.id === id);
+    if (!hook) return;
+    try {
+        await sendTestWebhook(hook);
+        showToast({ title: 'تم الإرسال', message: `أُرسلت رسالة تجريبية إلى «${hook.label || hook.url}»`, level: 'info' });
+    } catch (e) {
+        showToast({ title: 'فشل الإرسال', message: e.message, level: 'critical' });
+    }
+};
+
+function renderWebhookOutbox(entries) {
+    const el = document.getElementById('webhook-outbox');
+    if (!el) return;
+
+    const failed = entries.filter(e => e.failed);
+    const pending = entries.length - failed.length;
+    el.hidden = !entries.length;
+    el.innerHTML = `
+        <span class="webhook-outbox-status">
+            📤 ${pending} بانتظار الإرسال${failed.length ? ` — ${failed.length} فشلت` : ''}
+            ${entries[0]?.lastError ? `<small>(${escapeHTML(entries[0].lastError)})</small>` : ''}
+        </span>
+        <button type="button" class="btn-cancel btn-sm" onclick="window.retryWebhookOutbox()">إعادة المحاولة</button>
+        <button type="button" class="btn-cancel btn-sm" onclick="window.clearWebhookOutbox()">مسح</button>
+    `;
+}
+
+window.retryWebhookOutbox = () => {
+    if (!isLeader()) {
+        showToast({ title: 'تبويب تابع', message: 'الإرسال يتم من التبويب الرئيسي المفتوح', level: 'warning' });
+        return;
+    }
+    flushOutbox({ force: true });
+};
+
+window.clearWebhookOutbox = () => {
+    if (!confirm('حذف كل الرسائل غير المرسلة؟')) return;
+    clearOutbox();
+};
+
+window.unlockAudio = () => {
+    unlockAudio();
 };
 
-window.unlockAudio = () => {
-    unlockAudio();
-};
-
 window.saveSettings = () => {
     const input = document.getElementById('sheet-key-input');
     if (!input) return;
     
+    // Rows that would be dropped on save stay in the editor, marked, until they are fixed
+    document.querySelectorAll('.tab-map-row.invalid').forEach(row => row.classList.remove('invalid'));
+    const invalidRows = findInvalidTabMapRows();
+    if (invalidRows.length) {
+        invalidRows.forEach(row => row.classList.add('invalid'));
+        invalidRows[0].querySelector('.tab-gid')?.focus();
+        showToast({
+            title: 'تعذر الحفظ',
+            message: `${invalidRows.length} صف في خريطة التبويبات يحتاج شهراً ورقم GID صحيحاً (أرقام فقط)`,
+            level: 'warning'
+        });
+        return;
+    }
+
     const val = input.value.trim();
     if (val) {
-        updateSettings({ sheetId: val });
+        const configGid = (document.getElementById('config-gid-input')?.value || '').trim();
+        const current = getSettings();
+        updateSettings({
+            dataSource: document.getElementById('data-source-select')?.value || current.dataSource,
+            jsonUrl: (document.getElementById('json-url-input')?.value || '').trim(),
+            icsUrl: (document.getElementById('ics-url-input')?.value || '').trim(),
+            sheetId: val,
+            sheetLabel: (document.getElementById('sheet-label-input')?.value || '').trim(),
+            configGid,
+            tabGids: readTabMapEditor(),
+            extraSheets: readExtraSheetsEditor().filter(s => s.sheetId || s.label),
+            columnMap: readColumnMapEditor(),
+            adjacentMonths: readIntInput('adjacent-months-input', current.adjacentMonths),
+            adjacentWindowDays: readIntInput('adjacent-window-input', current.adjacentWindowDays),
+            workingHoursStart: document.getElementById('working-hours-start')?.value || current.workingHoursStart,
+            workingHoursEnd: document.getElementById('working-hours-end')?.value || current.workingHoursEnd,
+            dateFormat: document.getElementById('date-format-select')?.value || current.dateFormat,
+            webhooks: readWebhooksEditor().filter(h => h.url || h.label),
+            ...readSpeechSettings()
+        });
+        saveEngineers(readEngineersEditor());
+        saveAlertRules(readAlertRulesEditor());
+        lastRenderKey = null; // Engineer colours / columns may change the cards, not just the data
         window.toggleSettings();
         window.manualRefresh();
     }
@@ -488,12 +2063,15 @@ async function initApp() {
         document.body.classList.add('light-mode');
     }
 
+    // Icons in the static page shell, once — everything rendered later hydrates only itself
+    hydrateIcons(document);
+
     // Sound sync
     if (!settings.soundEnabled) {
         const icon = document.querySelector('#sound-toggle-btn i, #sound-toggle-btn svg');
         if (icon) {
             icon.setAttribute('data-lucide', 'volume-x');
-            if (window.lucide) window.lucide.createIcons();
+            hydrateIcons(icon.parentElement);
         }
     }
 
@@ -546,7 +2124,19 @@ async function initApp() {
             if (audioOverlay) audioOverlay.classList.add('active');
         }
 
-        if (window.lucide) window.lucide.createIcons();
+        hydrateIcons(audioStatusBadge);
+    });
+
+    setAudioQueueListener(renderAudioQueue);
+    setOutboxListener(renderWebhookOutbox);
+
+    // Browsers load speech voices asynchronously
+    window.speechSynthesis?.addEventListener?.('voiceschanged', () => renderSpeechVoiceSelect());
+
+    // Acknowledged / snoozed alerts show on the card, here and in the other tabs
+    setAlertActionListener(() => {
+        renderUI(activeMeetings);
+        broadcast(TAB_MESSAGES.ALERT_ACTION);
     });
 
     // Audio Unlock Listener (CRITICAL for Autoplay policies)
@@ -556,18 +2146,35 @@ async function initApp() {
     document.addEventListener('click', handleFirstInteraction);
     document.addEventListener('keydown', handleFirstInteraction);
 
+    renderChangeLog();
+
+    // 📶 Sync health indicator (next to the audio LED) + live panel updates
+    renderSyncIndicator();
+    setSyncHealthListener((entry, log) => {
+        renderSyncIndicator(log);
+        if (document.getElementById('sync-health-panel')?.classList.contains('open')) renderSyncHealthPanel(log);
+    });
+
+    // 📡 Offline support: cached shell + immediate banner updates on connectivity changes
+    registerServiceWorker();
+    window.addEventListener('offline', () => renderOfflineBanner());
+    window.addEventListener('online', () => {
+        renderOfflineBanner();
+        window.manualRefresh();
+    });
+
     // BUG-01: Initialization of Notifications
     requestNotificationPermission();
-    startNotificationLoop(
-        () => activeMeetings,
-        formatTodayDate,
-        () => {} // onTick
-    );
 
-    // Start Auto-Sync (10s interval is handled inside data.js)
-    startAutoSync((result) => {
-        activeMeetings = result.meetings;
-        renderUI(activeMeetings);
+    // The leader's first alert check runs before the first sync answers — give it the cached
+    // meetings, so alerts crossed while the page was closed still fire instead of being skipped
+    activeMeetings = loadCachedMeetings() || [];
+
+    // 👑 Polling + alert loop run in the leader tab only (see handleTabRole)
+    startTabCoordination({ onRole: handleTabRole, onMessage: handleTabMessage });
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', () => {
+        if (!isLeader()) broadcast(TAB_MESSAGES.VISIBILITY, { visible: false });
     });
 
     if (dynamicUpdateIntervalId) clearInterval(dynamicUpdateIntervalId);
@@ -1,9 +1,21 @@
 /**
- * notifications.js — Notification engine: timers, sound alerts (file-based), visual toasts
+ * notifications.js — Notification engine: timers, sound alerts (library sounds, recorded mp3s, spoken fallback), visual toasts
  * REFACTORED: Audio Queue System + Performance Cleanup
  */
 
-import { getSettings, isDone, isCancelled } from './data.js';
+import { getSettings, isDone, isCancelled, formatTodayDate } from './data.js';
+import { findEngineer } from './engineers.js';
+import { parseMeetingTitle, formatMinutesArabic, formatMeetingCount, getEngineerShortName } from './utils.js';
+import { getSoundPlayback, DEFAULT_SOUND_PLAYS, DEFAULT_SOUND_GAP_SECONDS } from './sounds.js';
+import {
+    getAlertRules,
+    getRulesForMeeting,
+    nearestSoundClip,
+    recordAlertAction,
+    ALERT_ACTIONS,
+    SNOOZE_MINUTES
+} from './alerts.js';
+import { notifyWebhooks, WEBHOOK_EVENTS } from './webhooks.js';
 
 // ========================================
 // 🔊 Audio System (Queue Based)
@@ -23,6 +35,14 @@ let isPlaying = false;
 let currentAudioState = AUDIO_STATE.LOCKED;
 let onStateChangeCallback = null;
 let _audioCtx = null;
+let currentPlayback = null; // { tasks, current: { task, stop } } while a batch plays
+let queueListener = null;
+
+// Alerts for the same start time queued this close together are announced as one
+const COALESCE_WINDOW_MS = 30 * 1000;
+
+// Longest a single stage (one clip, voice or pause) may hang before the queue moves on
+const STAGE_TIMEOUT_MS = 90 * 1000;
 
 // Track recently warned meetings to avoid spamming fallbacks
 const recentlyWarnedMeetings = new Map(); // id -> timestamp
@@ -80,18 +100,89 @@ export function unlockAudio() {
 
 /**
  * Add audio task to queue
+ * @param {{ soundId?: string, filename?: string, speech?: string, meetingId?: string, plays?: number,
+ *   startsAt?: number, label?: string, subject?: string }} task — sources are tried in order: a
+ *   library sound, a /sounds mp3, spoken text. plays overrides the sound's own repeat count;
+ *   startsAt (the meeting start) orders the queue and drops the task once the meeting has begun;
+ *   subject names the meeting in a combined announcement.
  */
 function enqueueAudio(task) {
     const { soundEnabled } = getSettings();
     if (!soundEnabled) return;
 
-    console.log(`[Queue] Queued: ${task.filename || task}`);
-    playQueue.push(task);
+    console.log(`[Queue] Queued: ${task.soundId || task.filename || `🗣️ ${task.speech}`}`);
+    playQueue.push({ ...task, queuedAt: Date.now() });
+    notifyQueue();
     processQueue();
 }
 
 /**
- * Process the Audio Queue (STRICT MODE: Files Only)
+ * Queue order: the meeting that starts first goes first (so a 5-minute warning beats a
+ * 30-minute one); tasks without a start time go last; ties in arrival order
+ */
+const byPriority = (a, b) => (a.startsAt ?? Infinity) - (b.startsAt ?? Infinity) || a.queuedAt - b.queuedAt;
+
+// Answered, or its meeting already started — nothing worth announcing any more
+const isStale = (task, now = Date.now()) => task.cancelled || (task.startsAt != null && now >= task.startsAt);
+
+/**
+ * Drop waiting tasks that are no longer worth announcing
+ * @returns {boolean} whether anything was dropped
+ */
+function pruneStaleTasks(now = Date.now()) {
+    const before = playQueue.length;
+    for (let i = playQueue.length - 1; i >= 0; i--) {
+        if (isStale(playQueue[i], now)) {
+            console.log(`[Queue] Dropped (meeting started): ${playQueue[i].label || playQueue[i].meetingId}`);
+            playQueue.splice(i, 1);
+        }
+    }
+    return playQueue.length !== before;
+}
+
+/**
+ * Most urgent task plus the alerts for the same start time that arrived with it —
+ * three meetings at 4:00 PM become one announcement instead of a minute of queueing
+ */
+function takeNextBatch() {
+    pruneStaleTasks();
+    playQueue.sort(byPriority);
+
+    const head = playQueue[0];
+    if (!head) return [];
+    const meetingIds = new Set();
+    const batch = playQueue.filter(t => {
+        const joins = t === head || (
+            head.startsAt != null &&
+            t.startsAt === head.startsAt &&
+            Math.abs(t.queuedAt - head.queuedAt) <= COALESCE_WINDOW_MS);
+        if (!joins || meetingIds.has(t.meetingId)) return false;
+        meetingIds.add(t.meetingId);
+        return true;
+    });
+    for (const task of batch) playQueue.splice(playQueue.indexOf(task), 1);
+    return batch;
+}
+
+/**
+ * What a task can play, best first — the next one is used when one fails
+ * @returns {Promise<{ src?: string, speech?: string, label: string, plays: number, gapMs: number }[]>}
+ */
+async function resolvePlayback(task) {
+    const candidates = [];
+    const defaults = { plays: DEFAULT_SOUND_PLAYS, gapMs: DEFAULT_SOUND_GAP_SECONDS * 1000 };
+
+    if (task.soundId) {
+        const sound = await getSoundPlayback(task.soundId);
+        if (sound) candidates.push({ src: sound.url, label: sound.name, plays: sound.plays, gapMs: sound.gapSeconds * 1000 });
+    }
+    if (task.filename) candidates.push({ src: `/sounds/${task.filename}`, label: task.filename, ...defaults });
+    if (task.speech) candidates.push({ speech: task.speech, label: `🗣️ ${task.speech}`, ...defaults });
+    return candidates;
+}
+
+/**
+ * Process the Audio Queue — one batch at a time, never overlapping
  */
 async function processQueue() {
     if (isPlaying || playQueue.length === 0) return;
@@ -101,8 +192,19 @@ async function processQueue() {
         return;
     }
 
+    const batch = takeNextBatch();
+    if (!batch.length) {
+        notifyQueue();
+        return;
+    }
+
     let safetyTimeout = null;
+    let finished = false;
     const finish = (delay = 2000) => {
+        if (finished) return;
+        finished = true;
+        currentPlayback = null;
+        notifyQueue();
         if (safetyTimeout) clearTimeout(safetyTimeout);
         setTimeout(() => {
             isPlaying = false;
@@ -110,52 +212,32 @@ async function processQueue() {
         }, delay);
     };
 
+    // Safety net against a clip or voice that never ends. Re-armed at every stage, so a
+    // sound with many plays and long gaps runs to the end; a stuck stage is stopped.
+    const watch = (ms = STAGE_TIMEOUT_MS) => {
+        if (finished) return;
+        if (safetyTimeout) clearTimeout(safetyTimeout);
+        safetyTimeout = setTimeout(() => {
+            console.warn('[Queue] Safety timeout — stopping the stuck announcement');
+            const stop = currentPlayback?.current?.stop;
+            finish(0);
+            if (stop) stop();
+        }, ms);
+    };
+
     isPlaying = true;
-    safetyTimeout = setTimeout(() => {
-        console.warn('[Queue] Safety timeout — force releasing isPlaying');
-        isPlaying = false;
-        processQueue();
-    }, 90000);
+    watch();
 
-    const task = playQueue.shift();
-    const filename = task.filename || task;
+    currentPlayback = { tasks: batch, current: null };
+    notifyQueue();
 
     try {
-        const audioPath = `/sounds/${filename}`;
-        console.log(`[Queue] Stage: Playing -> ${filename}`);
-        
-        const audio = new Audio(audioPath);
-        let playCount = 1;
-
-        audio.onended = () => {
-            if (playCount < 2) {
-                playCount++;
-                setTimeout(() => {
-                    console.log(`[Queue] Stage: Replaying -> ${filename}`);
-                    audio.play().catch(e => {
-                        console.error('[Queue] Replay Failed:', e);
-                        finish(500);
-                    });
-                }, 5000);
-            } else {
-                console.log('[Queue] Stage: Completed');
-                finish(2000);
-            }
-        };
-
-        audio.onerror = () => {
-            console.error(`[Queue] Stage: Failed (File NOT FOUND: ${filename}). Skipping.`);
-            finish(0); // Proceed immediately if file is missing
-        };
-
-        await audio.play().catch((err) => {
-            if (err.name === 'NotAllowedError') {
-                updateAudioState(AUDIO_STATE.LOCKED);
-            } else {
-                console.error('[Queue] Play Error:', err);
-            }
-            finish(500);
-        });
+        if (batch.length > 1) {
+            console.log(`[Queue] Coalesced ${batch.length} alerts into one announcement`);
+            if (speakCombined(batch, { finish, watch })) return;
+        }
+        const parts = await Promise.all(batch.map(resolvePlayback));
+        if (!finished) playBatch(batch, parts, { finish, watch, isFinished: () => finished });
     } catch (e) {
         console.error('[Queue] Unexpected Error:', e);
         finish(500);
@@ -163,18 +245,295 @@ async function processQueue() {
 }
 
 /**
- * Map Arabic Name to Audio File Prefix
- * UPDATED: Added Hossam ( حـسام ) -> 'a'
+ * One phrase naming every meeting of a coalesced batch, said once
+ * @returns {boolean} false when the browser has no speech synthesis
  */
-function getEngineerPrefix(teamName) {
-    if (!teamName) return null;
-    const lowerName = teamName.toLowerCase();
+function speakCombined(tasks, { finish, watch }) {
+    const text = buildCombinedSpeechText(tasks);
+    console.log(`[Queue] Stage: Speaking -> ${text}`);
+    watch();
+    const started = speak(text, () => {
+        console.log('[Queue] Stage: Completed');
+        finish(tasks.some(t => !t.cancelled) ? 2000 : 0);
+    });
+    if (started && currentPlayback) currentPlayback.current = { task: null, stop: () => window.speechSynthesis.cancel() };
+    return started;
+}
+
+/**
+ * Play each task of a batch in turn. A lone sound repeats as its own settings say; a
+ * coalesced batch (no speech synthesis for the combined phrase) plays each clip once.
+ * Tasks whose meeting started or whose alert was answered are skipped.
+ */
+function playBatch(tasks, parts, { finish, watch, isFinished }) {
+    let rounds = 0;
+    let round = 0;
+    let gapMs = DEFAULT_SOUND_GAP_SECONDS * 1000;
+
+    const afterRound = () => {
+        round++;
+        if (round < rounds && tasks.some(t => !isStale(t))) {
+            watch(gapMs + STAGE_TIMEOUT_MS);
+            setTimeout(() => {
+                if (isFinished()) return; // Cancelled during the pause
+                console.log('[Queue] Stage: Replaying');
+                playPart(0);
+            }, gapMs);
+        } else {
+            console.log('[Queue] Stage: Completed');
+            finish(rounds && tasks.some(t => !t.cancelled) ? 2000 : 0);
+        }
+    };
+
+    const playPart = (i) => {
+        if (isFinished()) return;
+        if (i >= tasks.length) {
+            afterRound();
+            return;
+        }
+        if (isStale(tasks[i])) {
+            playPart(i + 1);
+            return;
+        }
+        watch();
+        playFirstAvailable(tasks[i], parts[i], 0, (played) => {
+            if (played && !rounds) {
+                rounds = tasks.length > 1 ? 1 : tasks[i].plays || played.plays;
+                gapMs = played.gapMs;
+            }
+            playPart(i + 1);
+        }, { finish, watch });
+    };
+
+    playPart(0);
+}
+
+/**
+ * Play candidates[index] once, moving on to the next one if it cannot be played.
+ * onDone gets the candidate that played, or null when none could.
+ */
+function playFirstAvailable(task, candidates, index, onDone, control) {
+    const candidate = candidates[index];
+    if (!candidate) {
+        onDone(null);
+        return;
+    }
+
+    let settled = false;
+    const done = () => {
+        if (settled) return;
+        settled = true;
+        if (currentPlayback) currentPlayback.current = null;
+        onDone(candidate);
+    };
+    // A missing file fires onerror and rejects play() — move on only once
+    const next = () => {
+        if (settled) return;
+        settled = true;
+        if (candidates[index + 1]) console.warn(`[Queue] Stage: ${candidate.label} unavailable — trying ${candidates[index + 1].label}`);
+        playFirstAvailable(task, candidates, index + 1, onDone, control);
+    };
+
+    if (candidate.speech) {
+        console.log(`[Queue] Stage: Speaking -> ${candidate.speech}`);
+        if (!speak(candidate.speech, done)) {
+            console.warn('[Queue] Speech synthesis not supported. Skipping.');
+            next();
+            return;
+        }
+        // cancel() ends the utterance with an error event, which calls done()
+        if (currentPlayback) currentPlayback.current = { task, stop: () => window.speechSynthesis.cancel() };
+        return;
+    }
+
+    console.log(`[Queue] Stage: Playing -> ${candidate.label}`);
+    const audio = new Audio(candidate.src);
+    if (currentPlayback) currentPlayback.current = { task, stop: () => { audio.pause(); done(); } };
+
+    audio.onended = done;
+    // A long library sound gets its full length before the safety net trips
+    audio.onloadedmetadata = () => {
+        if (isFinite(audio.duration)) control.watch(audio.duration * 1000 + STAGE_TIMEOUT_MS);
+    };
+    audio.onerror = () => {
+        console.error(`[Queue] Stage: Failed (File NOT FOUND: ${candidate.label}).`);
+        next();
+    };
+    audio.play().catch((err) => {
+        if (err.name === 'NotAllowedError') {
+            settled = true;
+            updateAudioState(AUDIO_STATE.LOCKED);
+            control.finish(500);
+        } else {
+            console.error('[Queue] Play Error:', err);
+            next();
+        }
+    });
+}
+
+// ========================================
+// 📋 Queue Visibility
+// ========================================
+
+/**
+ * @typedef {Object} AudioQueueItem
+ * @property {string}      meetingId
+ * @property {string}      label
+ * @property {number|null} startsAt — Meeting start (ms)
+ * @property {boolean}     playing  — Part of the announcement playing now
+ */
+
+/**
+ * What is playing and what waits, in play order
+ * @returns {AudioQueueItem[]}
+ */
+export function getAudioQueue() {
+    const item = (task, playing) => ({
+        meetingId: task.meetingId || '',
+        label: task.label || task.filename || task.speech || '',
+        startsAt: task.startsAt ?? null,
+        playing
+    });
+    // Stale tasks wait in the queue while audio is locked; they are not worth listing
+    const now = Date.now();
+    const playing = (currentPlayback?.tasks || []).filter(t => !isStale(t, now)).map(t => item(t, true));
+    const waiting = playQueue.filter(t => !isStale(t, now)).sort(byPriority).map(t => item(t, false));
+    return [...playing, ...waiting];
+}
+
+/**
+ * Called with getAudioQueue() whenever the queue changes
+ */
+export function setAudioQueueListener(callback) {
+    queueListener = callback;
+}
+
+function notifyQueue() {
+    if (queueListener) queueListener(getAudioQueue());
+}
+
+function isMeetingQueued(meetingId) {
+    return playQueue.some(t => t.meetingId === meetingId)
+        || Boolean(currentPlayback?.tasks.some(t => t.meetingId === meetingId && !t.cancelled));
+}
+
+// ========================================
+// 🗣️ Speech Fallback (Web Speech API)
+// ========================================
+
+/**
+ * Installed voices (empty until the browser loads them — listen for 'voiceschanged')
+ * @returns {SpeechSynthesisVoice[]}
+ */
+export function getSpeechVoices() {
+    return typeof window !== 'undefined' && window.speechSynthesis ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Chosen voice, else the first Arabic one, else the browser default (null)
+ */
+function pickVoice(voiceURI) {
+    const voices = getSpeechVoices();
+    return voices.find(v => v.voiceURI === voiceURI)
+        || voices.find(v => /^ar/i.test(v.lang))
+        || null;
+}
+
+/**
+ * Speak once. Settings come from getSettings() unless overridden (settings preview).
+ * @returns {boolean} false when the browser has no speech synthesis
+ */
+function speak(text, onDone, overrides = {}) {
+    if (typeof window === 'undefined' || !window.speechSynthesis || typeof SpeechSynthesisUtterance === 'undefined') {
+        return false;
+    }
+
+    const settings = getSettings();
+    const { voiceURI, rate, volume } = {
+        voiceURI: settings.speechVoice,
+        rate: settings.speechRate,
+        volume: settings.speechVolume,
+        ...overrides
+    };
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = pickVoice(voiceURI);
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice ? voice.lang : 'ar-SA';
+    utterance.rate = rate;
+    utterance.volume = volume;
+    utterance.onend = () => onDone();
+    utterance.onerror = () => onDone();
+    window.speechSynthesis.speak(utterance);
+    return true;
+}
 
-    if (lowerName.includes("مجاهد")) return 'm';
-    if (lowerName.includes("شادي")) return 's';
-    if (lowerName.includes("أشرف") || lowerName.includes("اشرف") || lowerName.includes("حسام")) return 'a';
+/**
+ * Who the meeting is for, as spoken: engineer and client
+ */
+function speechSubject(meeting) {
+    const engineer = findEngineer(meeting.team);
+    const name = (engineer && engineer.aliases && engineer.aliases[0]) || meeting.team || 'الفريق';
+    const { client } = parseMeetingTitle(meeting.project);
+    return `${name}${client ? ` مع ${client}` : ''}`;
+}
+
+const speechWhen = (minutes) => (minutes <= 1 ? 'يبدأ الآن' : `بعد ${formatMinutesArabic(minutes)}`);
+
+/**
+ * Spoken alert: engineer, client and minutes remaining
+ */
+export function buildSpeechText(meeting, minutes) {
+    return `تنبيه. اجتماع ${speechSubject(meeting)} ${speechWhen(minutes)}`;
+}
+
+/**
+ * Spoken alert for meetings that start together: how many, when, then each one
+ */
+function buildCombinedSpeechText(tasks) {
+    const minutes = Math.round((tasks[0].startsAt - Date.now()) / 60000);
+    const subjects = tasks.map(t => t.subject || t.label).join('، ');
+    return `تنبيه. ${formatMeetingCount(tasks.length)} ${speechWhen(minutes)}: ${subjects}`;
+}
+
+/**
+ * Say a sample phrase with unsaved voice settings (settings modal)
+ * @param {{ voiceURI?: string, rate?: number, volume?: number }} overrides
+ */
+export function previewSpeech(text, overrides) {
+    if (isPlaying) return false; // Never talk over an alert
+    window.speechSynthesis?.cancel();
+    return speak(text, () => {}, overrides);
+}
+
+/**
+ * Drop a meeting's queued sounds and stop its part of the announcement (the alert was answered)
+ */
+function cancelMeetingAudio(meetingId) {
+    for (let i = playQueue.length - 1; i >= 0; i--) {
+        if (playQueue[i].meetingId === meetingId) playQueue.splice(i, 1);
+    }
+    if (currentPlayback) {
+        currentPlayback.tasks.forEach(t => { if (t.meetingId === meetingId) t.cancelled = true; });
+        const { current, tasks } = currentPlayback;
+        // A combined phrase (no task of its own) stops once every alert in it was answered
+        const stops = current && (current.task
+            ? current.task.meetingId === meetingId
+            : tasks.every(t => t.cancelled));
+        if (stops) {
+            console.log(`[Queue] Stage: Cancelled -> ${current.task?.label || meetingId}`);
+            current.stop();
+        }
+    }
+    notifyQueue();
+}
 
-    return null;
+/**
+ * Map Arabic Name to Audio File Prefix (from the engineer registry)
+ */
+function getEngineerPrefix(teamName) {
+    const engineer = findEngineer(teamName);
+    return (engineer && engineer.soundPrefix) || null;
 }
 
 // ========================================
@@ -183,9 +542,15 @@ function getEngineerPrefix(teamName) {
 
 const TOAST_DURATION = 15000; // 15 seconds
 
-export function showToast({ title, message, level = 'info', icon = '🔔' }) {
+/**
+ * Show a toast. Sticky toasts (by default those with actions) stay until an action is
+ * clicked or dismissToast is called; the others have a ✕ and close after TOAST_DURATION.
+ * @param {{ title: string, message: string, level?: string, actions?: { label: string, onClick: () => void }[], sticky?: boolean }} options
+ * @returns {HTMLElement|null}
+ */
+export function showToast({ title, message, level = 'info', icon = '🔔', actions = [], sticky = actions.length > 0 }) {
     const container = document.getElementById('notification-container');
-    if (!container) return;
+    if (!container) return null;
 
     const toast = document.createElement('div');
     toast.className = `notification-toast ${level}`;
@@ -202,50 +567,121 @@ export function showToast({ title, message, level = 'info', icon = '🔔' }) {
     <div class="toast-body">
       <div class="toast-title"></div>
       <div class="toast-message"></div>
+      ${actions.length ? '<div class="toast-actions"></div>' : ''}
     </div>
-    <button class="toast-close" onclick="this.closest('.notification-toast').classList.add('exiting'); setTimeout(() => this.closest('.notification-toast')?.remove(), 300)">✕</button>
+    ${sticky ? '' : `<button class="toast-close" onclick="this.closest('.notification-toast').classList.add('exiting'); setTimeout(() => this.closest('.notification-toast')?.remove(), 300)">✕</button>`}
   `;
 
     toast.querySelector('.toast-title').textContent = title;
     toast.querySelector('.toast-message').textContent = message;
 
+    const actionBar = toast.querySelector('.toast-actions');
+    for (const { label, onClick } of actions) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'toast-action';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        actionBar.appendChild(btn);
+    }
+
     container.prepend(toast);
 
-    if (window.lucide) {
-        window.lucide.createIcons();
-    }
+    // Only this toast's icon — a document-wide createIcons() redraws every card icon
+    if (window.lucide) window.lucide.createIcons({ root: toast });
 
-    setTimeout(() => {
-        if (toast.parentElement) {
-            toast.classList.add('exiting');
-            setTimeout(() => toast.remove(), 300);
-        }
-    }, TOAST_DURATION);
+    if (!sticky) setTimeout(() => dismissToast(toast), TOAST_DURATION);
+    return toast;
+}
+
+function dismissToast(toast) {
+    if (!toast || !toast.parentElement || toast.classList.contains('exiting')) return;
+    toast.classList.add('exiting');
+    setTimeout(() => toast.remove(), 300);
 }
 
 // ========================================
 // ⏰ Meeting Timer / Notification Engine
 // ========================================
 
-const triggeredNotifications = new Set();
-let lastNotifiedDate = new Date().toDateString();
+// Fired alerts survive a reload: { date, lastCheck, keys, active } — keys are `${meeting.id}_${meeting.time}_${rule.id}`
+// (a meeting moved to a later time gets its alerts again), active lists the alerts still waiting for an acknowledgement (restored by the next leader)
+const STORAGE_KEY_FIRED_ALERTS = 'aait_fired_alerts';
+// An alert may fire this early, and counts as late once this far past its time
+const ALERT_WINDOW_MS = 15 * 1000;
+
+let alertState = null;
 
-// FUNC-03: Daily clear to prevent memory accumulation and reset for the new day
+/**
+ * @typedef {Object} StoredActiveAlert
+ * @property {string} meetingId
+ * @property {string} ruleId
+ * @property {number} start         — Meeting start (ms)
+ * @property {number|null} snoozedUntil
+ */
 
+/**
+ * Today's fired alerts and the time of the last check (a fresh state on a new day).
+ * Unacknowledged alerts from the stored state wait in `restore` until their meeting is loaded.
+ */
+function getAlertState() {
+    const today = formatTodayDate();
+    if (alertState && alertState.date === today) return alertState;
 
-export function checkMeetingTimers(meetings, todayDate) {
-    // يُمسح عند تغيير اليوم فقط
-    const today = new Date().toDateString();
-    if (lastNotifiedDate !== today) {
-        triggeredNotifications.clear();
-        lastNotifiedDate = today;
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY_FIRED_ALERTS) || 'null');
+    } catch {
+        // Corrupt entry — start over
+    }
+    alertState = stored && stored.date === today
+        ? {
+            date: today,
+            lastCheck: stored.lastCheck || null,
+            keys: new Set(stored.keys || []),
+            restore: (stored.active || []).filter(a => !activeAlerts.has(a.meetingId))
+        }
+        : { date: today, lastCheck: null, keys: new Set(), restore: [] };
+    return alertState;
+}
+
+function saveAlertState() {
+    const state = getAlertState();
+    const active = [...activeAlerts.values()].map(e => ({
+        meetingId: e.meeting.id,
+        ruleId: e.rule.id,
+        start: e.start,
+        snoozedUntil: e.snoozedUntil
+    }));
+    try {
+        localStorage.setItem(STORAGE_KEY_FIRED_ALERTS, JSON.stringify({
+            date: state.date,
+            lastCheck: state.lastCheck,
+            keys: [...state.keys],
+            active: [...active, ...state.restore]
+        }));
+    } catch (e) {
+        console.warn('[Alerts] Fired-alert save failed:', e);
     }
+}
+
+function alertKey(meeting, rule) {
+    return `${meeting.id}_${meeting.time}_${rule.id}`;
+}
 
-    const now = new Date();
-    // حساب بالثواني لدقة أعلى
-    const nowSeconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+/**
+ * Fire every alert whose time was crossed since the previous check. Throttled background
+ * timers or a sleeping laptop can skip whole ticks; those alerts fire late with the real
+ * remaining time instead of being lost.
+ */
+export function checkMeetingTimers(meetings, todayDate) {
+    const state = getAlertState();
+    const now = Date.now();
+    const since = Math.min(state.lastCheck ?? now, now) - ALERT_WINDOW_MS;
 
     const todayMeetings = meetings.filter(m => m.date === todayDate && m.time);
+    const rules = getAlertRules();
+    const upcoming = new Map(); // id -> { meeting, start }, for the active alerts below
 
     for (const meeting of todayMeetings) {
         if (isDone(meeting) || isCancelled(meeting)) continue;
@@ -253,56 +689,256 @@ export function checkMeetingTimers(meetings, todayDate) {
         const [h, min] = meeting.time.split(':').map(Number);
         if (isNaN(h) || isNaN(min)) continue;
 
-        const meetingSeconds = h * 3600 + min * 60;
-        const diffSeconds = meetingSeconds - nowSeconds;
+        const start = new Date();
+        start.setHours(h, min, 0, 0);
+        if (start.getTime() <= now) continue; // Already started — nothing left to warn about
+        upcoming.set(meeting.id, { meeting, start: start.getTime() });
+
+        const alertAt = (rule) => start.getTime() - rule.leadMinutes * 60000;
+        const due = getRulesForMeeting(meeting, rules).filter(rule =>
+            alertAt(rule) - ALERT_WINDOW_MS <= now &&
+            alertAt(rule) > since &&
+            !state.keys.has(alertKey(meeting, rule)));
+        if (!due.length) continue;
+
+        // Several thresholds crossed at once (e.g. 30 and 5 after a long sleep): announce only the nearest
+        due.forEach(rule => state.keys.add(alertKey(meeting, rule)));
+        const rule = due.reduce((a, b) => (a.leadMinutes <= b.leadMinutes ? a : b));
+        const late = now - alertAt(rule) > ALERT_WINDOW_MS;
+        triggerAlert(meeting, rule, start.getTime(), late);
+    }
 
-        const prefix = getEngineerPrefix(meeting.team);
+    restoreActiveAlerts(state, upcoming, rules, now);
+    tickActiveAlerts(upcoming, now);
+    if (pruneStaleTasks(now)) notifyQueue(); // Also while audio is locked and nothing plays
+    state.lastCheck = now;
+    saveAlertState();
+}
 
-        // Logic A: 30 Minutes Warning (نافذة ±15 ثانية حول 1800 ثانية)
-        if (diffSeconds >= 1785 && diffSeconds <= 1815) {
-            const key = `${meeting.id}_30min`;
-            if (!triggeredNotifications.has(key)) {
-                triggeredNotifications.add(key);
-                triggerAlert(meeting, prefix, 30, Math.round(diffSeconds / 60));
-            }
-        }
+// ========================================
+// 🚨 Active Alerts (acknowledge / snooze / escalate)
+// ========================================
 
-        // Logic B: 5 Minutes Warning (نافذة ±15 ثانية حول 300 ثانية)
-        if (diffSeconds >= 285 && diffSeconds <= 315) {
-            const key = `${meeting.id}_5min`;
-            if (!triggeredNotifications.has(key)) {
-                triggeredNotifications.add(key);
-                triggerAlert(meeting, prefix, 5, Math.round(diffSeconds / 60));
-            }
-        }
+// An unacknowledged repeatUntilAck alert plays its sound again this often
+const ESCALATION_INTERVAL_MS = 60 * 1000;
+
+/** meetingId -> { meeting, rule, start, toast, snoozedUntil, nextRepeatAt } */
+const activeAlerts = new Map();
+let alertActionListener = null;
+
+/**
+ * Called with the meeting id after an alert is acknowledged or snoozed
+ */
+export function setAlertActionListener(callback) {
+    alertActionListener = callback;
+}
+
+function minutesLeft(entry, now = Date.now()) {
+    return Math.round((entry.start - now) / 60000);
+}
+
+/**
+ * The rule's library sound, else the engineer's (uploaded for this clip, then the built-in
+ * recording), else a spoken phrase — each one a fallback for the one before
+ * @param {{ clip: number, minutes: number, startsAt: number, plays?: number, soundId?: string }} options
+ */
+function playAlertSound(meeting, { clip, minutes, startsAt, plays, soundId }) {
+    const engineer = findEngineer(meeting.team);
+    const prefix = getEngineerPrefix(meeting.team);
+    const { client } = parseMeetingTitle(meeting.project);
+    const task = {
+        soundId: soundId || engineer?.soundIds?.[clip] || '',
+        filename: prefix ? `${prefix}${clip}.mp3` : '',
+        speech: buildSpeechText(meeting, minutes),
+        meetingId: meeting.id,
+        startsAt,
+        label: `${getEngineerShortName(meeting.team) || 'الفريق'} — ${client || meeting.project || ''}`,
+        subject: speechSubject(meeting),
+        plays
+    };
+    if (!task.soundId && !task.filename) {
+        console.log(`[Audio] No recording for "${meeting.team}" (id: ${meeting.id}) — using a generated voice.`);
     }
+    enqueueAudio(task);
 }
 
-function triggerAlert(meeting, prefix, minutesType, diff) {
-    if (prefix) {
-        const filename = `${prefix}${minutesType}.mp3`;
-        enqueueAudio({ filename, meetingId: meeting.id });
-    } else {
-        console.warn(`[Audio] No mapping found for engineer: "${meeting.team}" (id: ${meeting.id}). Skipping sound.`);
+/**
+ * Sound, toast and system notification for an alert, as its rule says
+ * @param {{ titlePrefix?: string, exactClip?: boolean }} [options] — exactClip: the rule's
+ *   recording; otherwise the one closest to the time actually left (late alerts, reminders)
+ */
+function announceAlert(entry, { titlePrefix = '', exactClip = true } = {}) {
+    const { meeting, rule } = entry;
+    const diff = minutesLeft(entry);
+
+    // The rule picks the recording — only some lead times have their own file
+    if (rule.sound) {
+        playAlertSound(meeting, {
+            clip: exactClip ? rule.soundClip : nearestSoundClip(diff),
+            minutes: diff,
+            startsAt: entry.start,
+            soundId: rule.soundId
+        });
     }
 
     const timeText = diff <= 1 ? 'سيبدأ الآن' : `بعد ${diff} دقيقة`;
-    let level = 'info';
-    let icon = 'bell';
 
-    if (minutesType === 5) {
-        level = 'warning';
-        icon = 'alert-triangle';
+    dismissToast(entry.toast);
+    entry.toast = showToast({
+        title: `${titlePrefix}${meeting.project || 'تنبيه اجتماع'}`,
+        message: `${meeting.team || ''} — ${timeText}`,
+        level: rule.level,
+        icon: rule.level === 'info' ? 'bell' : 'alert-triangle',
+        // Only alerts that repeat until acknowledged stay on screen; the rest close like any toast
+        sticky: Boolean(rule.repeatUntilAck),
+        actions: [
+            { label: 'أنا عليه', onClick: () => acknowledgeAlert(meeting.id) },
+            ...SNOOZE_MINUTES.map(minutes => ({
+                label: `غفوة ${minutes} د`,
+                onClick: () => snoozeAlert(meeting.id, minutes)
+            }))
+        ]
+    });
+
+    if (rule.notify) sendPushNotification(meeting, timeText);
+}
+
+/**
+ * Fire one alert rule for a meeting (and post it to the chat webhooks). It stays active
+ * (toast open, repeats if the rule says so) until acknowledged or the meeting starts;
+ * a newer alert replaces it.
+ * @param {number} start — Meeting start (ms)
+ * @param {boolean} [late] — The alert's time was missed
+ */
+function triggerAlert(meeting, rule, start, late = false) {
+    const previous = activeAlerts.get(meeting.id);
+    if (previous) dismissToast(previous.toast);
+
+    const entry = {
+        meeting,
+        rule,
+        start,
+        toast: null,
+        snoozedUntil: null,
+        nextRepeatAt: Date.now() + ESCALATION_INTERVAL_MS
+    };
+    activeAlerts.set(meeting.id, entry);
+    announceAlert(entry, late ? { titlePrefix: '⏱️ تنبيه متأخر: ', exactClip: false } : {});
+    notifyWebhooks(WEBHOOK_EVENTS.ALERT, { meeting, rule, minutes: minutesLeft(entry), late });
+}
+
+/**
+ * "I'm on it": silence the meeting's alert and log the acknowledgement for its card
+ */
+export function acknowledgeAlert(meetingId) {
+    const entry = activeAlerts.get(meetingId);
+    if (!entry) return;
+
+    activeAlerts.delete(meetingId);
+    saveAlertState();
+    cancelMeetingAudio(meetingId);
+    dismissToast(entry.toast);
+    recordAlertAction(meetingId, { action: ALERT_ACTIONS.ACK, ruleId: entry.rule.id, at: Date.now() });
+    if (alertActionListener) alertActionListener(meetingId);
+}
+
+/**
+ * Hide the alert and bring it back (with sound) after the given minutes
+ */
+export function snoozeAlert(meetingId, minutes) {
+    const entry = activeAlerts.get(meetingId);
+    if (!entry) return;
+
+    cancelMeetingAudio(meetingId);
+    dismissToast(entry.toast);
+    entry.toast = null;
+    entry.snoozedUntil = Date.now() + minutes * 60000;
+    saveAlertState();
+    recordAlertAction(meetingId, { action: ALERT_ACTIONS.SNOOZE, ruleId: entry.rule.id, at: Date.now(), minutes });
+    if (alertActionListener) alertActionListener(meetingId);
+}
+
+/**
+ * Per tick: wake snoozed alerts, repeat unacknowledged ones, and drop alerts whose
+ * meeting started, finished, was cancelled or moved to another time
+ * @param {Map<string, { meeting: Meeting, start: number }>} upcoming — Today's meetings that have not started
+ */
+function tickActiveAlerts(upcoming, now) {
+    for (const [id, entry] of activeAlerts) {
+        const current = upcoming.get(id);
+        if (!current || current.start !== entry.start) {
+            activeAlerts.delete(id);
+            cancelMeetingAudio(id);
+            dismissToast(entry.toast);
+            continue;
+        }
+        entry.meeting = current.meeting;
+
+        if (entry.snoozedUntil) {
+            if (now < entry.snoozedUntil) continue;
+            entry.snoozedUntil = null;
+            entry.nextRepeatAt = now + ESCALATION_INTERVAL_MS;
+            announceAlert(entry, { titlePrefix: '🔁 تذكير: ', exactClip: false });
+        } else if (entry.rule.repeatUntilAck && now >= entry.nextRepeatAt) {
+            entry.nextRepeatAt = now + ESCALATION_INTERVAL_MS;
+            // Locked audio would otherwise pile up one repeat per interval
+            if (entry.rule.sound && !isMeetingQueued(id)) {
+                const left = minutesLeft(entry, now);
+                playAlertSound(entry.meeting, {
+                    clip: nearestSoundClip(left),
+                    minutes: left,
+                    startsAt: entry.start,
+                    plays: 1,
+                    soundId: entry.rule.soundId
+                });
+            }
+        }
     }
+}
 
-    showToast({
-        title: meeting.project || 'تنبيه اجتماع',
-        message: `${meeting.team || ''} — ${timeText}`,
-        level,
-        icon
+/**
+ * Bring back alerts that were still unacknowledged when the page reloaded or another
+ * tab led: snoozed ones keep their snooze, the others show again and keep repeating.
+ * Entries wait while their meeting is not loaded yet and are dropped once it starts or moves.
+ * @param {Map<string, { meeting: Meeting, start: number }>} upcoming
+ */
+function restoreActiveAlerts(state, upcoming, rules, now) {
+    if (!state.restore.length) return;
+
+    state.restore = state.restore.filter(stored => {
+        if (stored.start <= now || activeAlerts.has(stored.meetingId)) return false;
+        const current = upcoming.get(stored.meetingId);
+        if (!current) return true;
+        if (current.start !== stored.start) return false;
+        const { meeting } = current;
+
+        const rule = rules.find(r => r.id === stored.ruleId);
+        if (!rule) return false;
+
+        const entry = {
+            meeting,
+            rule,
+            start: stored.start,
+            toast: null,
+            snoozedUntil: stored.snoozedUntil && stored.snoozedUntil > now ? stored.snoozedUntil : null,
+            nextRepeatAt: now + ESCALATION_INTERVAL_MS
+        };
+        activeAlerts.set(meeting.id, entry);
+        if (!entry.snoozedUntil) announceAlert(entry, { titlePrefix: '🔁 تذكير: ', exactClip: false });
+        return false;
     });
+}
 
-    sendPushNotification(meeting, timeText);
+/**
+ * Close every active alert without logging it (this tab stopped handling alerts).
+ * They stay in the stored state, so the tab that takes over restores them.
+ */
+function clearActiveAlerts() {
+    for (const [id, entry] of activeAlerts) {
+        cancelMeetingAudio(id);
+        dismissToast(entry.toast);
+    }
+    activeAlerts.clear();
 }
 
 function sendPushNotification(meeting, timeText) {
@@ -324,6 +960,7 @@ let timerInterval = null;
 
 export function startNotificationLoop(getMeetings, getTodayDate, onTick) {
     if (timerInterval) clearInterval(timerInterval);
+    alertState = null; // Re-read: another tab may have fired alerts while this one was a follower
 
     // لوب كل 10 ثواني لدقة ±10 ثواني بدل من ±30 ثانية
     timerInterval = setInterval(() => {
@@ -338,6 +975,15 @@ export function startNotificationLoop(getMeetings, getTodayDate, onTick) {
     checkMeetingTimers(meetings, today);
 }
 
+/**
+ * Stop alert checks (this tab handed alerts over to another tab)
+ */
+export function stopNotificationLoop() {
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = null;
+    clearActiveAlerts();
+}
+
 export function requestNotificationPermission() {
     if (!("Notification" in window)) return;
     Notification.requestPermission().then(permission => {
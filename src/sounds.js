@@ -0,0 +1,168 @@
+/**
+ * sounds.js — Sound library (IndexedDB)
+ * Audio files uploaded from settings, assigned to engineers (per recorded clip) and to
+ * alert rules. They take precedence over the built-in /sounds/<prefix><clip>.mp3 files.
+ */
+
+// ========================================
+// 🗄️ Database
+// ========================================
+
+const DB_NAME = 'aait_sounds';
+const DB_VERSION = 1;
+const STORE_SOUNDS = 'sounds';
+
+const MAX_SOUND_BYTES = 5 * 1024 * 1024;
+
+// Built-in mp3s (and sounds without their own setting) play twice, 5 seconds apart
+export const DEFAULT_SOUND_PLAYS = 2;
+export const DEFAULT_SOUND_GAP_SECONDS = 5;
+
+/**
+ * @typedef {Object} SoundRecord
+ * @property {string} id
+ * @property {string} name        — Shown in settings (defaults to the file name)
+ * @property {string} type        — MIME type
+ * @property {number} size        — Bytes
+ * @property {Blob}   blob
+ * @property {number} plays       — Times played per alert
+ * @property {number} gapSeconds  — Pause between plays
+ * @property {string} addedAt     — ISO time
+ */
+
+let dbPromise = null;
+const objectUrls = new Map(); // id -> blob: URL, created on first playback
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function openSoundsDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB غير متاح في هذا المتصفح'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_SOUNDS, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry on the next call instead of caching the failure
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+async function soundStore(mode = 'readonly') {
+    const db = await openSoundsDB();
+    return db.transaction(STORE_SOUNDS, mode).objectStore(STORE_SOUNDS);
+}
+
+function releaseUrl(id) {
+    const url = objectUrls.get(id);
+    if (url) URL.revokeObjectURL(url);
+    objectUrls.delete(id);
+}
+
+const clampInt = (value, min, max, fallback) => {
+    const n = parseInt(value, 10);
+    return isNaN(n) ? fallback : Math.min(max, Math.max(min, n));
+};
+
+// ========================================
+// 📚 Library
+// ========================================
+
+/**
+ * All uploaded sounds, oldest first
+ * @returns {Promise<SoundRecord[]>}
+ */
+export async function listSounds() {
+    const sounds = await promisify((await soundStore()).getAll());
+    return sounds.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+}
+
+/**
+ * @returns {Promise<SoundRecord|null>}
+ */
+export async function getSound(id) {
+    if (!id) return null;
+    return (await promisify((await soundStore()).get(id))) || null;
+}
+
+/**
+ * Store an uploaded audio file
+ * @param {File} file
+ * @returns {Promise<SoundRecord>}
+ */
+export async function addSound(file) {
+    if (!file.type.startsWith('audio/')) throw new Error(`«${file.name}» ليس ملفاً صوتياً`);
+    if (file.size > MAX_SOUND_BYTES) throw new Error(`«${file.name}» أكبر من 5 ميجابايت`);
+
+    const record = {
+        id: `snd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name: file.name.replace(/\.[^.]+$/, ''),
+        type: file.type,
+        size: file.size,
+        blob: file,
+        plays: DEFAULT_SOUND_PLAYS,
+        gapSeconds: DEFAULT_SOUND_GAP_SECONDS,
+        addedAt: new Date().toISOString()
+    };
+    await promisify((await soundStore('readwrite')).put(record));
+    return record;
+}
+
+/**
+ * Rename a sound or change how it repeats
+ * @param {string} id
+ * @param {{ name?: string, plays?: number, gapSeconds?: number }} patch
+ */
+export async function updateSound(id, patch) {
+    const sound = await getSound(id);
+    if (!sound) throw new Error('الصوت غير موجود');
+
+    const next = {
+        ...sound,
+        name: (patch.name ?? sound.name).trim() || sound.name,
+        plays: clampInt(patch.plays ?? sound.plays, 1, 10, sound.plays),
+        gapSeconds: clampInt(patch.gapSeconds ?? sound.gapSeconds, 0, 60, sound.gapSeconds)
+    };
+    await promisify((await soundStore('readwrite')).put(next));
+    return next;
+}
+
+/**
+ * Remove a sound. Engineers / rules still pointing at it fall back to the built-in files.
+ */
+export async function deleteSound(id) {
+    await promisify((await soundStore('readwrite')).delete(id));
+    releaseUrl(id);
+}
+
+// ========================================
+// ▶️ Playback
+// ========================================
+
+/**
+ * A playable URL plus repeat settings, or null when the sound is gone / storage fails
+ * @returns {Promise<{ url: string, name: string, plays: number, gapSeconds: number }|null>}
+ */
+export async function getSoundPlayback(id) {
+    try {
+        const sound = await getSound(id);
+        if (!sound) return null;
+        if (!objectUrls.has(id)) objectUrls.set(id, URL.createObjectURL(sound.blob));
+        return { url: objectUrls.get(id), name: sound.name, plays: sound.plays, gapSeconds: sound.gapSeconds };
+    } catch (e) {
+        console.warn('[Sounds] Lookup failed:', e);
+        return null;
+    }
+}
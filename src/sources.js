@@ -0,0 +1,271 @@
+/**
+ * sources.js — Data-source adapters: where meetings come from
+ * Every adapter returns the same Meeting objects (via mapRowsToMeetings), so the rest
+ * of the app — identity, alerts, diagnostics — does not care which one is active.
+ */
+
+import { getSettings, parseCSV, mapRowsToMeetings, fetchSheetMeetings } from './data.js';
+import { readXlsxRows } from './xlsx.js';
+import { parseICS } from './ics.js';
+
+// ========================================
+// 🔌 Adapter Interface
+// ========================================
+
+export const SOURCE_TYPES = {
+    GOOGLE_SHEET: 'google-sheet',
+    FILE: 'file',
+    JSON_URL: 'json-url',
+    ICS: 'ics'
+};
+
+/**
+ * @typedef {Object} SourceResult
+ * @property {Meeting[]} meetings
+ * @property {ParseDiagnostic[]} diagnostics
+ * @property {{ code: string, message: string }[]} warnings
+ */
+
+/**
+ * @typedef {Object} DataSourceAdapter
+ * @property {string} id      — One of SOURCE_TYPES (stored in settings.dataSource)
+ * @property {string} label   — Arabic label for the settings modal
+ * @property {() => Promise<SourceResult>} fetch
+ *   Throws on failure; the error may carry `warnings` to show alongside the cached data.
+ */
+
+/**
+ * Map tabular rows (header row + data) to meetings, tagging diagnostics with a label
+ * @param {string[][]} rows
+ * @param {string} label — Shown in the diagnostics panel instead of a month tab
+ * @param {Object} [columnMap] — Column overrides (omit for synthetic rows with known headers)
+ * @param {{ clock24?: boolean }} [options] — see mapRowsToMeetings
+ */
+function meetingsFromRows(rows, label, columnMap, options) {
+    const { meetings, diagnostics } = mapRowsToMeetings(rows, columnMap, options);
+    return {
+        meetings,
+        diagnostics: diagnostics.map(d => ({ ...d, tab: label })),
+        warnings: []
+    };
+}
+
+async function fetchText(url) {
+    if (!url) throw new Error('لم يتم تحديد رابط مصدر البيانات');
+
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`فشل الاتصال: ${response.status}`);
+    }
+    return response.text();
+}
+
+// ========================================
+// 📁 Local File (CSV / XLSX)
+// ========================================
+
+const STORAGE_KEY_LOCAL_FILE = 'aait_local_source';
+
+/**
+ * Decode an uploaded CSV: UTF-8 (with or without BOM), falling back to
+ * Windows-1256 for files saved by older Arabic Excel versions.
+ */
+function decodeText(buffer) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch {
+        return new TextDecoder('windows-1256').decode(buffer);
+    }
+}
+
+/**
+ * Info about the imported file (without its rows)
+ * @returns {{ name: string, importedAt: string, rowCount: number }|null}
+ */
+export function getLocalFileInfo() {
+    const stored = loadLocalFile();
+    return stored ? { name: stored.name, importedAt: stored.importedAt, rowCount: stored.rows.length } : null;
+}
+
+function loadLocalFile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_LOCAL_FILE) || 'null');
+        return stored && Array.isArray(stored.rows) ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read an uploaded .csv / .xlsx file and keep its rows for the file adapter.
+ * The rows are validated first, so a file without the required columns is rejected.
+ * @param {File} file
+ * @returns {Promise<{ name: string, meetingCount: number }>}
+ */
+export async function importLocalFile(file) {
+    const buffer = await file.arrayBuffer();
+    const isXlsx = /\.xlsx$/i.test(file.name);
+    if (/\.xls$/i.test(file.name)) throw new Error('صيغة xls القديمة غير مدعومة — احفظ الملف بصيغة xlsx أو csv');
+
+    const rows = isXlsx ? await readXlsxRows(buffer) : parseCSV(decodeText(buffer));
+    const { meetings } = mapRowsToMeetings(rows); // Throws (columns-missing) on a wrong file
+
+    try {
+        localStorage.setItem(STORAGE_KEY_LOCAL_FILE, JSON.stringify({
+            name: file.name,
+            importedAt: new Date().toISOString(),
+            rows
+        }));
+    } catch {
+        throw new Error('الملف كبير جداً للحفظ في المتصفح');
+    }
+
+    return { name: file.name, meetingCount: meetings.length };
+}
+
+const fileAdapter = {
+    id: SOURCE_TYPES.FILE,
+    label: 'ملف محلي (CSV / Excel)',
+    async fetch() {
+        const stored = loadLocalFile();
+        if (!stored) throw new Error('لم يتم رفع ملف بعد — اختر ملف CSV أو Excel من الإعدادات');
+        return meetingsFromRows(stored.rows, stored.name, getSettings().columnMap);
+    }
+};
+
+// ========================================
+// 🧾 JSON URL
+// ========================================
+
+const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Flatten a JSON value into a cell (nested people/objects → their name)
+ */
+function toCell(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toCell).filter(Boolean).join(', ');
+    if (typeof value === 'object') return toCell(value.name ?? value.title ?? value.label ?? value.value ?? '');
+    return String(value).trim();
+}
+
+/**
+ * JSON records → header + rows. Keys become headers, so the usual synonym
+ * matching (and the column map) applies. An ISO timestamp field such as
+ * "start" is split into "<key> date" and "<key> time" columns (local time).
+ */
+function jsonToRows(records) {
+    const keys = [];
+    for (const r of records) {
+        for (const k of Object.keys(r)) if (!keys.includes(k)) keys.push(k);
+    }
+
+    const splitKeys = new Set(keys.filter(k =>
+        records.some(r => ISO_DATETIME_RE.test(toCell(r[k]))) &&
+        records.every(r => !toCell(r[k]) || ISO_DATETIME_RE.test(toCell(r[k])))
+    ));
+
+    const header = keys.flatMap(k => (splitKeys.has(k) ? [`${k} date`, `${k} time`] : [k]));
+    const rows = records.map(r => keys.flatMap(k => {
+        const cell = toCell(r[k]);
+        if (!splitKeys.has(k)) return [cell];
+        if (!cell) return ['', ''];
+        const d = new Date(cell);
+        return [
+            `${d.getFullYear()}/${pad2(d.getMonth() + 1)}/${pad2(d.getDate())}`,
+            `${pad2(d.getHours())}:${pad2(d.getMinutes())}`
+        ];
+    }));
+
+    return [header, ...rows];
+}
+
+const jsonAdapter = {
+    id: SOURCE_TYPES.JSON_URL,
+    label: 'رابط JSON',
+    async fetch() {
+        const { jsonUrl } = getSettings();
+        const text = await fetchText(jsonUrl);
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            throw new Error('الرابط لا يعيد JSON صالحاً');
+        }
+
+        const records = Array.isArray(json) ? json : (json.meetings || json.items || json.data || json.records);
+        if (!Array.isArray(records)) throw new Error('لم يتم العثور على قائمة اجتماعات في JSON (مصفوفة أو meetings/items/data)');
+
+        // Machine-written times (and the split ISO timestamps) are 24h — no ص/م guessing
+        return meetingsFromRows(jsonToRows(records.filter(r => r && typeof r === 'object')), 'JSON', getSettings().columnMap, { clock24: true });
+    }
+};
+
+// ========================================
+// 📅 ICS Feed
+// ========================================
+
+const ICS_HEADER = ['ID', 'التاريخ', 'الوقت', 'اسم المشروع', 'الفريق', 'الحالة', 'رابط الاجتماع', 'عبر'];
+const URL_RE = /https?:\/\/\S+/;
+
+/**
+ * Calendar events → rows under ICS_HEADER.
+ * All-day events are not meetings to be alerted about and are left out.
+ * Recurring events appear once (RRULE is not expanded).
+ */
+function eventsToRows(events) {
+    const rows = events
+        .filter(e => e.date && e.time)
+        .map(e => {
+            const link = e.url || (e.location.match(URL_RE) || e.description.match(URL_RE) || [''])[0];
+            return [
+                e.uid ? `${e.uid}-${e.date}` : '',
+                e.date,
+                e.time,
+                e.summary,
+                e.categories || e.organizer,
+                e.status === 'CANCELLED' ? 'ملغي' : '',
+                link,
+                URL_RE.test(e.location) ? 'عن بعد' : e.location
+            ];
+        });
+    return [ICS_HEADER, ...rows];
+}
+
+const icsAdapter = {
+    id: SOURCE_TYPES.ICS,
+    label: 'تقويم ICS',
+    async fetch() {
+        const { icsUrl } = getSettings();
+        const events = parseICS(await fetchText(icsUrl));
+        // Headers are ours, so the sheet's column overrides must not apply; times are 24h
+        return meetingsFromRows(eventsToRows(events), 'ICS', {}, { clock24: true });
+    }
+};
+
+// ========================================
+// 🟩 Google Sheets (published CSV)
+// ========================================
+
+const googleSheetAdapter = {
+    id: SOURCE_TYPES.GOOGLE_SHEET,
+    label: 'Google Sheets (منشور)',
+    fetch: fetchSheetMeetings
+};
+
+// ========================================
+// 📚 Registry
+// ========================================
+
+export const SOURCE_ADAPTERS = [googleSheetAdapter, fileAdapter, jsonAdapter, icsAdapter];
+
+/**
+ * The adapter selected in settings (Google Sheets when unset/unknown)
+ * @returns {DataSourceAdapter}
+ */
+export function getActiveSource() {
+    const { dataSource } = getSettings();
+    return SOURCE_ADAPTERS.find(a => a.id === dataSource) || googleSheetAdapter;
+}
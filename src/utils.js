@@ -2,8 +2,11 @@
  * Utility functions for AAIT Sales Dashboard
  */
 
+import { findEngineer } from './engineers.js';
+
 /**
  * Escapes HTML characters to prevent XSS attacks.
+ * Quotes are escaped too, so the result is safe inside value="..." / title="..." attributes.
  * @param {string} str - The string to escape.
  * @returns {string} - The escaped string.
  */
@@ -11,7 +14,7 @@ export function escapeHTML(str) {
     if (!str) return '';
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 /**
  * Formats meeting count according to Arabic grammar rules (Counting Rules).
@@ -47,9 +50,61 @@ export function getArabicMeetingParts(count) {
  */
 export function getEngineerShortName(team) {
     if (!team) return '';
-    if (/مجاهد/i.test(team))       return 'م.مجاهد';
-    if (/أشرف|اشرف/i.test(team))   return 'م.أشرف';
-    if (/شادي/i.test(team))         return 'م.شادي';
-    if (/حسام/i.test(team))         return 'م.حسام';
-    return team;
+    const engineer = findEngineer(team);
+    return (engineer && engineer.shortName) || team;
+}
+
+export const MEETING_TYPES = {
+    ONLINE: 'online',
+    OFFICE: 'office',
+    EXTERNAL: 'external'
+};
+
+/**
+ * Classifies a meeting from its "via" column (online when nothing else matches).
+ * @param {string} via
+ * @returns {string} one of MEETING_TYPES
+ */
+export function getMeetingType(via) {
+    const v = (via || '').trim();
+    if (/حضوري|مكتب|مقر/i.test(v)) return MEETING_TYPES.OFFICE;
+    if (/خارجي|زيارة|عميل/i.test(v)) return MEETING_TYPES.EXTERNAL;
+    return MEETING_TYPES.ONLINE;
+}
+
+/**
+ * Splits a project cell into ticket number, client and description.
+ * Client is the first part, the rest is the description (meeting type words removed).
+ * @param {string} project
+ * @returns {{ ticketNum: string, client: string, projectDesc: string }}
+ */
+export function parseMeetingTitle(project) {
+    const ticketMatch = (project || '').match(/AA\d+/);
+    const ticketNum = ticketMatch ? ticketMatch[0] : '';
+
+    const typeKeywords = /اون لاين|أون لاين|online|remote|حضوري|خارجي|زيارة|مكتب|مقر/gi;
+    const rawTitle = (project || '')
+        .replace(ticketNum, '')
+        .replace(typeKeywords, '')
+        .replace(/[-_]+/g, ' ') // Remove dashes/underscores early
+        .trim();
+
+    const parts = rawTitle.split(/\s{2,}| - | _ /).map(p => p.trim()).filter(p => p.length > 0);
+    return {
+        ticketNum,
+        client: parts[0] || '',
+        projectDesc: parts.slice(1).join(' ').trim()
+    };
+}
+
+/**
+ * Arabic minute count with correct grammar (1 → دقيقة واحدة, 2 → دقيقتان, 3-10 → دقائق)
+ * @param {number} count
+ * @returns {string}
+ */
+export function formatMinutesArabic(count) {
+    if (count <= 1) return 'دقيقة واحدة';
+    if (count === 2) return 'دقيقتان';
+    if (count <= 10) return `${count} دقائق`;
+    return `${count} دقيقة`;
 }
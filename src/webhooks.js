@@ -0,0 +1,354 @@
+/**
+ * webhooks.js — Outgoing webhooks: meeting alerts and sync changes posted to chat channels
+ * (Slack-compatible JSON or a generic JSON POST). Messages wait in a persisted outbox and
+ * are retried with backoff until delivered, so a network blip or a closed tab loses nothing.
+ */
+
+import { getSettings, formatTime12h } from './data.js';
+import { findEngineer, getEngineers } from './engineers.js';
+import { parseMeetingTitle, formatMinutesArabic, getEngineerShortName } from './utils.js';
+
+// ========================================
+// 🔗 Webhook Definitions
+// ========================================
+
+export const WEBHOOK_FORMATS = {
+    SLACK: 'slack',     // { text } — Slack / Mattermost / Rocket.Chat incoming webhooks
+    GENERIC: 'generic'  // { event, text, data, sentAt }
+};
+
+export const WEBHOOK_EVENTS = {
+    ALERT: 'alert',   // Same moments as the dashboard's meeting alerts
+    CHANGE: 'change'  // Meetings added / removed / moved since the last sync
+};
+
+/**
+ * Placeholders — alert: {mention} {engineer} {client} {project} {time} {when} {via} {link}
+ *                change: {mention} {engineer} {change} {details} {project}
+ */
+export const DEFAULT_WEBHOOK_TEMPLATES = {
+    [WEBHOOK_EVENTS.ALERT]: '⏰ {mention} اجتماع {client} {when} ({time}) {link}',
+    [WEBHOOK_EVENTS.CHANGE]: '🔄 {change}: {project} — {details} {mention}'
+};
+
+/**
+ * @typedef {Object} Webhook
+ * @property {string}   id
+ * @property {string}   label
+ * @property {string}   url
+ * @property {string}   format     — One of WEBHOOK_FORMATS
+ * @property {string[]} events     — WEBHOOK_EVENTS values it subscribes to
+ * @property {Object<string, string>} templates — Per event ('' = DEFAULT_WEBHOOK_TEMPLATES)
+ * @property {boolean}  enabled
+ */
+
+/**
+ * @returns {Webhook[]}
+ */
+export function getWebhooks() {
+    return (getSettings().webhooks || []).filter(h => h && h.id);
+}
+
+// ========================================
+// 📝 Message Templates
+// ========================================
+
+function fillTemplate(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Chat mention for a team (the engineer's configured mention, else their short name)
+ */
+function mentionFor(team) {
+    const engineer = findEngineer(team);
+    return (engineer && engineer.mention) || getEngineerShortName(team) || team || '';
+}
+
+function alertValues({ meeting, minutes }) {
+    const { client } = parseMeetingTitle(meeting.project);
+    return {
+        mention: mentionFor(meeting.team),
+        engineer: getEngineerShortName(meeting.team) || meeting.team || 'الفريق',
+        client: client || meeting.project || '',
+        project: meeting.project || '',
+        time: formatTime12h(meeting.time),
+        when: minutes <= 1 ? 'يبدأ الآن' : `بعد ${formatMinutesArabic(minutes)}`,
+        via: meeting.via || '',
+        link: meeting.meetUrl || ''
+    };
+}
+
+function changeValues(change) {
+    return {
+        mention: mentionFor(change.team),
+        engineer: getEngineerShortName(change.team) || change.team || '',
+        change: change.label || change.type,
+        details: change.details || '',
+        project: change.project || ''
+    };
+}
+
+/**
+ * Message text for one hook (a sync's changes become one message, one line each)
+ */
+function buildText(hook, event, payload) {
+    const template = (hook.templates && hook.templates[event]) || DEFAULT_WEBHOOK_TEMPLATES[event];
+    if (event === WEBHOOK_EVENTS.ALERT) return fillTemplate(template, alertValues(payload));
+    return payload.changes.map(c => fillTemplate(template, changeValues(c))).join('\n');
+}
+
+function buildBody(hook, event, text, payload) {
+    if (hook.format === WEBHOOK_FORMATS.SLACK) return JSON.stringify({ text });
+
+    const data = event === WEBHOOK_EVENTS.ALERT
+        ? {
+            meetingId: payload.meeting.id,
+            project: payload.meeting.project || '',
+            team: payload.meeting.team || '',
+            date: payload.meeting.date,
+            time: payload.meeting.time,
+            minutes: payload.minutes,
+            level: payload.rule?.level || 'info',
+            late: Boolean(payload.late)
+        }
+        : { changes: payload.changes };
+    return JSON.stringify({ event, text, data, sentAt: new Date().toISOString() });
+}
+
+// ========================================
+// 📤 Outbox (persisted, retried with backoff)
+// ========================================
+
+const STORAGE_KEY_OUTBOX = 'aait_webhook_outbox';
+const MAX_OUTBOX_ENTRIES = 100;
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+// A request that has not answered by then is aborted and retried later
+const DELIVERY_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string}  id
+ * @property {string}  hookId
+ * @property {string}  event
+ * @property {string}  text           — For the settings list
+ * @property {string}  body           — Request body, built when the event happened
+ * @property {number}  attempts
+ * @property {number}  nextAttemptAt  — Timestamp (ms)
+ * @property {string}  createdAt      — ISO time
+ * @property {string}  lastError
+ * @property {boolean} failed         — Gave up after MAX_ATTEMPTS (retried only by hand)
+ * @property {number}  [sendingUntil] — Claimed by a request in flight (another flush skips it until then)
+ */
+
+let deliveryActive = false;
+let flushing = false;
+let flushTimer = null;
+let outboxListener = null;
+
+/**
+ * @returns {OutboxEntry[]}
+ */
+export function getOutbox() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(STORAGE_KEY_OUTBOX) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+}
+
+function saveOutbox(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY_OUTBOX, JSON.stringify(entries.slice(-MAX_OUTBOX_ENTRIES)));
+    } catch (e) {
+        console.warn('[Webhooks] Outbox save failed:', e);
+    }
+    if (outboxListener) outboxListener(getOutbox());
+}
+
+/**
+ * Replace one entry (null removes it)
+ */
+function updateEntry(id, next) {
+    saveOutbox(getOutbox().flatMap(e => (e.id !== id ? [e] : next ? [next] : [])));
+}
+
+/**
+ * Called with the outbox whenever it changes (settings status line)
+ */
+export function setOutboxListener(callback) {
+    outboxListener = callback;
+}
+
+export function clearOutbox() {
+    saveOutbox([]);
+}
+
+/**
+ * Queue a message for every enabled webhook subscribed to the event
+ * @param {string} event — One of WEBHOOK_EVENTS
+ * @param {{ meeting: Meeting, minutes: number, rule?: AlertRule, late?: boolean }
+ *   | { changes: (ChangeEvent & { label: string, details: string })[] }} payload
+ */
+export function notifyWebhooks(event, payload) {
+    const hooks = getWebhooks().filter(h => h.enabled !== false && h.url && (h.events || []).includes(event));
+    if (!hooks.length) return;
+
+    const now = Date.now();
+    const entries = hooks.map((hook, i) => {
+        const text = buildText(hook, event, payload);
+        return {
+            id: `wh-${now.toString(36)}-${i}-${Math.random().toString(36).slice(2, 6)}`,
+            hookId: hook.id,
+            event,
+            text,
+            body: buildBody(hook, event, text, payload),
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: new Date(now).toISOString(),
+            lastError: '',
+            failed: false
+        };
+    });
+    saveOutbox([...getOutbox(), ...entries]);
+    if (deliveryActive) flushOutbox();
+}
+
+/**
+ * POST one body to a hook. Slack's endpoint sends no CORS headers, so Slack-format
+ * messages go as a "simple" request whose (opaque) response cannot be read — only
+ * network failures are retried. Generic hooks must answer 2xx.
+ */
+async function deliver(hook, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    const slack = hook.format === WEBHOOK_FORMATS.SLACK;
+
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            mode: slack ? 'no-cors' : 'cors',
+            headers: { 'Content-Type': slack ? 'text/plain;charset=UTF-8' : 'application/json' },
+            body,
+            signal: controller.signal
+        });
+        if (!slack && !response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (e) {
+        if (e.name === 'AbortError') throw new Error('انتهت مهلة الاتصال');
+        throw e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Send every due entry, oldest first. force: also entries that gave up or are waiting
+ * for their next attempt (the settings "retry now" button).
+ */
+export async function flushOutbox({ force = false } = {}) {
+    if (flushing) return;
+    flushing = true;
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+
+    try {
+        const hooks = new Map(getWebhooks().map(h => [h.id, h]));
+        for (const { id } of getOutbox()) {
+            // Handed over to another tab mid-flush: leave the rest to it
+            if (!deliveryActive) break;
+
+            // Re-read: the entry may have been sent, cleared or claimed meanwhile
+            const entry = getOutbox().find(e => e.id === id);
+            if (!entry || entry.sendingUntil > Date.now()) continue;
+            if (!force && (entry.failed || entry.nextAttemptAt > Date.now())) continue;
+
+            const hook = hooks.get(entry.hookId);
+            if (!hook || !hook.url) {
+                updateEntry(entry.id, null); // Webhook deleted since — nowhere to send it
+                continue;
+            }
+
+            updateEntry(entry.id, { ...entry, sendingUntil: Date.now() + DELIVERY_TIMEOUT_MS });
+            try {
+                await deliver(hook, entry.body);
+                updateEntry(entry.id, null);
+            } catch (e) {
+                const attempts = entry.attempts + 1;
+                const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+                console.warn(`[Webhooks] «${hook.label || hook.url}» attempt ${attempts} failed:`, e.message);
+                updateEntry(entry.id, {
+                    ...entry,
+                    sendingUntil: 0,
+                    attempts,
+                    nextAttemptAt: Date.now() + delay,
+                    lastError: e.message || String(e),
+                    failed: attempts >= MAX_ATTEMPTS
+                });
+            }
+        }
+    } finally {
+        flushing = false;
+        scheduleFlush();
+    }
+}
+
+function scheduleFlush() {
+    if (!deliveryActive || flushTimer) return;
+    const pending = getOutbox().filter(e => !e.failed);
+    if (!pending.length) return;
+
+    const next = Math.min(...pending.map(e => Math.max(e.nextAttemptAt, e.sendingUntil || 0)));
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushOutbox();
+    }, Math.max(0, next - Date.now()));
+}
+
+const handleOnline = () => flushOutbox();
+
+/**
+ * Start sending (leader tab only — the outbox is shared by every tab)
+ */
+export function startWebhookDelivery() {
+    if (deliveryActive) return;
+    deliveryActive = true;
+    window.addEventListener('online', handleOnline);
+    flushOutbox();
+}
+
+export function stopWebhookDelivery() {
+    deliveryActive = false;
+    window.removeEventListener('online', handleOnline);
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+}
+
+/**
+ * Post a sample alert straight to a hook (not through the outbox) — settings "test" button
+ * @param {Webhook} hook
+ */
+export async function sendTestWebhook(hook) {
+    if (!hook.url) throw new Error('أدخل رابط الـ Webhook أولاً');
+    const engineer = getEngineers()[0];
+    const payload = {
+        meeting: {
+            id: 'test',
+            project: 'عميل تجريبي - اختبار الربط',
+            team: engineer?.aliases?.[0] || 'الإدارة',
+            via: 'Google Meet',
+            date: '',
+            time: '16:00',
+            meetUrl: ''
+        },
+        minutes: 5,
+        rule: { level: 'info' }
+    };
+    const text = `🧪 ${buildText(hook, WEBHOOK_EVENTS.ALERT, payload)}`;
+    await deliver(hook, buildBody(hook, WEBHOOK_EVENTS.ALERT, text, payload));
+}
@@ -0,0 +1,233 @@
+/**
+ * xlsx.js — Minimal XLSX reader: first worksheet → rows of display strings
+ * No dependencies: unzips with the browser's DecompressionStream and reads the XML parts directly.
+ */
+
+// ========================================
+// 🗜️ ZIP Container
+// ========================================
+
+const SIG_END_OF_DIRECTORY = 0x06054b50;
+const SIG_DIRECTORY_ENTRY = 0x02014b50;
+
+/**
+ * List the entries of a ZIP archive (name → { method, offset, size })
+ */
+function readZipDirectory(view) {
+    // End-of-central-directory record sits in the last 64 KB (22 bytes + comment)
+    let eocd = -1;
+    for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 65557); i--) {
+        if (view.getUint32(i, true) === SIG_END_OF_DIRECTORY) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('الملف ليس ملف Excel صالحاً (xlsx)');
+
+    const count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(pos, true) !== SIG_DIRECTORY_ENTRY) break;
+        const method = view.getUint16(pos + 10, true);
+        const size = view.getUint32(pos + 20, true);
+        const nameLen = view.getUint16(pos + 28, true);
+        const extraLen = view.getUint16(pos + 30, true);
+        const commentLen = view.getUint16(pos + 32, true);
+        const localOffset = view.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLen));
+
+        entries.set(name, { method, size, localOffset });
+        pos += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+}
+
+/**
+ * Read one archive entry as text (stored or deflated)
+ */
+async function readZipText(view, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    // Local header lengths may differ from the central directory ones
+    const nameLen = view.getUint16(entry.localOffset + 26, true);
+    const extraLen = view.getUint16(entry.localOffset + 28, true);
+    const start = view.byteOffset + entry.localOffset + 30 + nameLen + extraLen;
+    const data = new Uint8Array(view.buffer, start, entry.size);
+
+    if (entry.method === 0) return new TextDecoder().decode(data);
+    if (entry.method !== 8) throw new Error(`ضغط غير مدعوم في ملف Excel (${entry.method})`);
+
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).text();
+}
+
+// ========================================
+// 🧾 Worksheet XML
+// ========================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(str) {
+    return str.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(n);
+        }
+        return XML_ENTITIES[code] ?? match;
+    });
+}
+
+function attr(tag, name) {
+    const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return m ? decodeXml(m[1]) : null;
+}
+
+/**
+ * Concatenate the <t> runs of a rich-text/shared-string item (phonetic runs excluded)
+ */
+function textRuns(xml) {
+    const plain = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    return [...plain.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function parseSharedStrings(xml) {
+    if (!xml) return [];
+    return [...xml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(m => textRuns(m[1]));
+}
+
+// Built-in number formats that render as dates/times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 22, 27, 30, 36, 50, 57]);
+const BUILTIN_TIME_FORMATS = new Set([18, 19, 20, 21, 45, 46, 47]);
+
+/**
+ * Style index → 'date' | 'datetime' | 'time' | null
+ */
+function parseCellStyles(xml) {
+    if (!xml) return [];
+
+    const custom = new Map();
+    for (const m of xml.matchAll(/<numFmt\b[^>]*\/?>/g)) {
+        custom.set(Number(attr(m[0], 'numFmtId')), attr(m[0], 'formatCode') || '');
+    }
+
+    const kindOf = (id) => {
+        if (BUILTIN_DATE_FORMATS.has(id)) return id === 22 ? 'datetime' : 'date';
+        if (BUILTIN_TIME_FORMATS.has(id)) return 'time';
+        if (!custom.has(id)) return null;
+
+        // Ignore quoted literals, escapes and colours before looking for date/time tokens
+        const code = custom.get(id).replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '').toLowerCase();
+        const hasDate = /[dy]/.test(code) || /m{3,}/.test(code);
+        const hasTime = /h|s/.test(code);
+        if (hasDate && hasTime) return 'datetime';
+        if (hasDate || /^m+[/\-.]|[/\-.]m+$/.test(code)) return 'date';
+        return hasTime ? 'time' : null;
+    };
+
+    const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    if (!cellXfs) return [];
+    return [...cellXfs[1].matchAll(/<xf\b[^>]*\/?>/g)].map(m => kindOf(Number(attr(m[0], 'numFmtId'))));
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Excel serial number → 'YYYY-MM-DD', 'HH:MM' or both
+ */
+function formatSerial(serial, kind, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const totalMinutes = Math.round(serial * 24 * 60);
+    const d = new Date(epoch + totalMinutes * 60000);
+
+    const date = `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+    const time = `${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}`;
+    if (kind === 'time') return time;
+    if (kind === 'datetime') return `${date} ${time}`;
+    return date;
+}
+
+/**
+ * Column letters of a cell reference ("AB12") → zero-based index
+ */
+function columnIndex(ref) {
+    const letters = (ref.match(/^[A-Z]+/) || ['A'])[0];
+    return letters.split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+}
+
+function parseWorksheet(xml, sharedStrings, styles, date1904) {
+    const rows = [];
+
+    for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = Number(attr(`<row${rowMatch[1]}>`, 'r')) || rows.length + 1;
+        const cells = [];
+
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const tag = `<c${cellMatch[1]}>`;
+            const body = cellMatch[2] || '';
+            const ref = attr(tag, 'r');
+            const col = ref ? columnIndex(ref) : cells.length;
+            const type = attr(tag, 't');
+            const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let value = '';
+            if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw !== undefined) {
+                const kind = styles[Number(attr(tag, 's')) || 0];
+                const num = Number(raw);
+                value = kind && !isNaN(num) && type !== 'str' && type !== 'e'
+                    ? formatSerial(num, kind, date1904)
+                    : decodeXml(raw);
+            }
+            cells[col] = value.trim();
+        }
+
+        rows[rowNumber - 1] = Array.from(cells, c => c ?? '');
+    }
+
+    // Blank rows keep their position so diagnostics point at the right sheet row
+    return Array.from(rows, r => r ?? []);
+}
+
+// ========================================
+// 📖 Public API
+// ========================================
+
+/**
+ * Read the first worksheet of an .xlsx file.
+ * Dates come out as YYYY-MM-DD and times as HH:MM so the normal parsers accept them.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string[][]>}
+ */
+export async function readXlsxRows(buffer) {
+    const view = new DataView(buffer);
+    const entries = readZipDirectory(view);
+
+    const workbook = await readZipText(view, entries, 'xl/workbook.xml');
+    if (!workbook) throw new Error('الملف ليس ملف Excel صالحاً (xlsx)');
+
+    // First sheet in tab order → its part via the workbook relationships
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const firstSheet = workbook.match(/<sheet\b[^>]*\/?>/);
+    const rels = await readZipText(view, entries, 'xl/_rels/workbook.xml.rels');
+    if (firstSheet && rels) {
+        const relId = attr(firstSheet[0], 'r:id');
+        const rel = [...rels.matchAll(/<Relationship\b[^>]*\/?>/g)].find(m => attr(m[0], 'Id') === relId);
+        const target = rel && attr(rel[0], 'Target');
+        if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    const sheet = await readZipText(view, entries, sheetPath);
+    if (!sheet) throw new Error('لم يتم العثور على ورقة عمل في ملف Excel');
+
+    const date1904 = /date1904="(1|true)"/.test(workbook);
+    const sharedStrings = parseSharedStrings(await readZipText(view, entries, 'xl/sharedStrings.xml'));
+    const styles = parseCellStyles(await readZipText(view, entries, 'xl/styles.xml'));
+
+    return parseWorksheet(sheet, sharedStrings, styles, date1904);
+}
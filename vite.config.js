@@ -1,4 +1,44 @@
 import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync, writeFileSync, statSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+/**
+ * Fill public/sw.js with this build's file list and a version hash, so the
+ * service worker precaches the hashed assets, sounds and logos of exactly this build.
+ */
+function serviceWorkerPrecache() {
+  let outDir = 'dist';
+
+  const listFiles = (dir) => readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? listFiles(path) : [path];
+  });
+
+  return {
+    name: 'aait-sw-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir;
+    },
+    closeBundle() {
+      const swPath = join(outDir, 'sw.js');
+      const files = listFiles(outDir)
+        .filter((path) => path !== swPath && !path.endsWith('.map'))
+        .map((path) => `/${relative(outDir, path).split(sep).join('/')}`)
+        .sort();
+
+      const hash = createHash('sha256');
+      for (const file of files) hash.update(file).update(readFileSync(join(outDir, file)));
+      const version = hash.digest('hex').slice(0, 12);
+
+      const source = readFileSync(swPath, 'utf8')
+        .replace(/const BUILD_VERSION = '[^']*';/, `const BUILD_VERSION = '${version}';`)
+        .replace(/const PRECACHE_URLS = \[[^\]]*\];/, `const PRECACHE_URLS = ${JSON.stringify(['/', ...files])};`);
+      writeFileSync(swPath, source);
+    },
+  };
+}
 
 export default defineConfig({
   server: {
@@ -6,4 +46,5 @@ export default defineConfig({
     port: 5173,
     open: true,
   },
+  plugins: [serviceWorkerPrecache()],
 });